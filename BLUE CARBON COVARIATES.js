@@ -1,7 +1,7 @@
 // ============================================================================
 // BLUE CARBON COVARIATES WITH COMPREHENSIVE QA/QC
 // ============================================================================
-// Version: 1.0 - Coastal Blue Carbon Edition
+// Version: 1.1 - Coastal Blue Carbon Edition
 // Purpose: Generate VM0033-compliant covariates for coastal carbon modeling
 // Key Features: Tidal indicators, coastal indices, lateral flux proxies, QA/QC
 // Adapted from: Generic Carbon Stock Covariate Tool
@@ -12,15 +12,24 @@
 // ============================================================================
 
 // IMPORTANT: Draw your AOI using the geometry tools or load from asset
-var AOI = geometry;  // Draw a polygon on the map
+// (CONFIG.aoiAsset); the builder app can also draw or load it
+var AOI = typeof geometry !== 'undefined' ? geometry : null;  // Draw a polygon on the map
 
+// true  = open the covariate builder app (Section 16) pre-filled from CONFIG
+// false = run directly with CONFIG
+var LAUNCH_APP = false;
 
-// Optional: Load your strata/sampling locations for validation
-// var samplingPoints = ee.FeatureCollection("users/your_name/sampling_points");
+// Config string saved from the builder app. When set (here or in the app URL
+// '#config=...'), it overrides CONFIG so a run can be reproduced exactly.
+var CONFIG_STRING = '';
 
+var SCRIPT_VERSION = '1.1';  // Keep in step with the header; recorded in the run metadata
+
+// Optional: Field core locations for covariate extraction (see CONFIG.samplingPointsAsset)
 var CONFIG = {
   // Spatial Configuration
   aoi: AOI,
+  aoiAsset: '',                       // Table asset whose union is the AOI (overrides aoi)
   exportScale: 10,  // 10m for coastal (higher res than terrestrial)
   exportCRS: 'EPSG:4326',
   processingCRS: 'EPSG:3347',  // Canada Albers Equal Area
@@ -31,9 +40,40 @@ var CONFIG = {
   growingSeasonStartMonth: 5,  // May
   growingSeasonEndMonth: 9,     // September (for Canada)
   
+  // Optical Source
+  // 'S2'      = Sentinel-2 SR Harmonized (2017+, 10 m, red-edge bands)
+  // 'LANDSAT' = Landsat 5/7/8/9 Collection 2 SR (1984+, 30 m, no red-edge)
+  opticalSource: 'S2',
+  landsatIncludeL7: true,            // ETM+ fills 1999-2012 gaps (SLC-off after 2003)
+  
+  // Sentinel-2 Cloud Masking
+  // 'QA60'            = L1C opaque/cirrus bits (misses thin cloud and all shadow)
+  // 'S2CLOUDLESS'     = s2cloudless probability + projected cloud shadow
+  // 'CLOUDSCORE_PLUS' = Cloud Score+ clear-sky score (recommended)
+  s2CloudMask: 'CLOUDSCORE_PLUS',
+  compareCloudMasks: true,           // QA counts for every strategy (false = s2CloudMask only, faster)
+  csPlusBand: 'cs_cdf',              // 'cs' or 'cs_cdf'
+  csPlusThreshold: 0.60,             // Keep pixels with score >= threshold
+  s2cloudlessProbThreshold: 50,      // Cloud probability (%) above which pixel is cloud
+  s2cloudlessNirDarkThreshold: 0.15, // NIR reflectance below which pixel may be shadow
+  s2cloudlessProjectionDist_km: 1,   // Max distance to search for cloud shadow
+  s2cloudlessBuffer_m: 50,           // Dilation around cloud + shadow
+  
   // Quality Control Thresholds (Blue Carbon Specific)
   s2CloudThreshold: 15,              // Stricter for coastal (was 20)
+  landsatCloudThreshold: 40,         // Scene-level CLOUD_COVER (pixel QA does the rest)
   s1SpeckleFilterSize: 7,
+  
+  // SAR Preprocessing
+  // Speckle filter: 'FOCAL_MEDIAN' (legacy), 'REFINED_LEE', 'LEE_SIGMA', 'QUEGAN' (multitemporal)
+  sarSpeckleFilter: 'REFINED_LEE',
+  sarQueganWindow_days: 30,          // Images from the same track within ± this window
+  sarBackscatter: 'GAMMA0',          // 'SIGMA0' or 'GAMMA0' (sigma0 / cos(incidence))
+  sarAngleNormalization: true,       // Normalize backscatter to sarReferenceAngle
+  sarReferenceAngle: 38,             // Degrees (mid-swath IW)
+  sarAngleNormExponent: 2,           // Cosine-law exponent (2 = Lambertian)
+  sarOrbitComposites: true,          // Add separate _asc / _desc composites
+  sarLegacyOrbit: 'BOTH',            // Orbits feeding VV_*/VH_*: 'BOTH', 'ASCENDING', 'DESCENDING'
   minObservationsRequired: 15,        // More observations for tidal variability
   
   // Coastal-specific thresholds
@@ -59,16 +99,184 @@ var CONFIG = {
   minWaterOccurrence: 0,
   maxWaterOccurrence: 100,
   
+  // Composite Quality Score
+  // Each QA flag adds its weight where it passes (weights summing to 100 give
+  // a 0-100 score). The QA summary table reports, per stratum polygon (or the
+  // whole AOI), % area passing each flag, mean score, % area at or above
+  // qaPassScore, completeness and mean observation counts.
+  qaWeights: {
+    elevation_valid_flag: 10,
+    slope_valid_flag: 10,
+    NDVI_valid_flag: 15,
+    NDWI_valid_flag: 15,
+    VV_valid_flag: 10,
+    VH_valid_flag: 10,
+    optical_sufficient_flag: 15,
+    SAR_sufficient_flag: 10,
+    spatial_homogeneity_flag: 5
+  },
+  qaPassScore: 70,                    // Composite score counted as high quality
+  qaStrataAsset: '',                  // Stratum polygons, e.g. 'users/your_name/strata' (empty = whole AOI)
+  qaStratumProperty: 'stratum',
+  
+  // Tide-Stratified Compositing (leave tideTableAsset empty to disable)
+  // Table asset uploaded from a tide-gauge CSV with one row per reading
+  tideTableAsset: '',                 // e.g. 'users/your_name/tide_gauge_08545'
+  tideTimeField: 'timestamp',         // ISO date string or epoch milliseconds (UTC)
+  tideLevelField: 'water_level_m',    // Water level in the gauge datum
+  tideMaxGap_hours: 3,                // Max distance to readings used for interpolation
+  lowTideMaxLevel: 0.5,               // Scenes at or below this level = low tide (m, gauge datum)
+  highTideMinLevel: 1.5,              // Scenes at or above this level = high tide (m, gauge datum)
+  
+  // Dynamic Inundation Frequency (used when includeDynamicInundation is on)
+  // Water is classified in every optical scene (MNDWI or NDWI above threshold)
+  // and every S1 scene (open water: low VV; flooded vegetation: VV
+  // double-bounce above the pixel's median in vegetated pixels).
+  waterMNDWIThreshold: 0,
+  waterNDWIThreshold: 0,
+  waterOtsu: false,                   // Per-scene Otsu threshold on MNDWI instead of the fixed value
+  waterOtsuRange: [-0.3, 0.3],        // Clamp for Otsu thresholds (guards against all-land scenes)
+  s1WaterVV_dB: -18,                  // Open water: VV below this
+  s1DoubleBounceDelta_dB: 3,          // Flooded vegetation: VV this far above the pixel median
+  floodedVegNdviMin: 0.3,             // Growing-season NDVI marking vegetated pixels
+  
+  // SAV Water-Column Correction (leave savDeepWaterAsset empty to disable)
+  // Sun glint: Hedley et al. (2005) per scene, R_i' = R_i - b_i * (NIR - NIR_min),
+  // b_i = slope of band i on NIR over the deep-water polygons. Depth-invariant
+  // bottom indices: Lyzenga (1981) on the deglinted growing-season median,
+  // DII_ij = ln(R_i - R_i,deep) - k_ij * ln(R_j - R_j,deep), k_ij from the
+  // variances/covariance over the sand polygons. Output is limited to
+  // subtidal and low-intertidal pixels.
+  savDeepWaterAsset: '',              // Optically deep, glint-affected water polygons
+  savSandAsset: '',                   // Uniform sand across a range of depths (empty = deglint only)
+  savBandPairs: [['B2', 'B3'], ['B3', 'B4']],  // Visible band pairs for the indices
+  savGlintNirThreshold: 0.01,         // NIR reflectance above the deep-water minimum counted as glint
+  savGlintMaxPct: 30,                 // glint_affected_flag where more observations than this were glinted
+  savMinDeepWaterPixels: 50,          // Scenes with fewer clear deep-water pixels are dropped
+  savMinWaterOccurrence: 50,          // Subtidal/low-intertidal: JRC occurrence ≥ this (%) ...
+  savMaxElevRelMHW_m: -0.5,           // ... or elevation at least this far below MHW
+  
+  // Flow Routing (Hydrological Connectivity)
+  // 'D8'    = depression-filled D8 routing computed from the DEM
+  // 'MERIT' = MERIT Hydro upstream drainage area (~90 m, global)
+  // 'ASSET' = precomputed upstream area raster (km²) in flowAccumulationAsset
+  flowAccumulationSource: 'D8',
+  flowAccumulationAsset: '',          // e.g. 'users/your_name/flow_acc_km2'
+  flowAccumulationAssetBand: 'upa',
+  d8Scale: 30,                        // Routing resolution (m); each iteration is reprojected here
+  d8FillIterations: 100,              // Depression-fill passes (≥ farthest cell from an outlet; others masked)
+  d8AccumulationIterations: 150,      // Accumulation passes (≥ longest flow path in cells)
+  d8FillEpsilon: 0.001,               // Minimum drop (m) imposed across filled flats
+  flowAccumLogRange: [0, 4],          // log10(cells) range used to normalize flow accumulation
+  
   // Processing Parameters
   qaStatsScaleMultiplier: 4,
   qaFocalRadius_pixels: 3,
-  textureWindowSize: 3,
+  textureWindowSize: 3,               // GLCM window (pixels, odd)
   spatialCV_threshold: 50,
   
+  // Phenology (harmonic regression, used when includePhenologyMetrics is on)
+  phenologyIndices: ['NDVI', 'EVI'],
+  harmonicTerms: 2,                   // Number of annual harmonics (1 = sine wave)
+  phenologyStep_days: 5,              // DOY sampling step for SOS/POS/EOS
+  phenologySeasonThreshold: 0.5,      // Fraction of seasonal amplitude defining SOS/EOS
+  
+  // Seasonal composites (used when includeSeasonalMetrics is on)
+  // [startMonth, endMonth]; windows may wrap past December. Southern
+  // hemisphere: spring [9, 11], summer [12, 2], fall [3, 5], winter [6, 8].
+  // Northern Canada: e.g. spring [5, 6], summer [7, 8], fall [9, 10], winter [11, 4].
+  seasons: {
+    spring: [3, 5],
+    summer: [6, 8],
+    fall: [9, 11],
+    winter: [12, 2]
+  },
+  seasonalIndices: ['NDVI', 'EVI', 'NDWI', 'MNDWI'],
+  seasonalSarBands: ['VV', 'VH'],
+  
   // Export Configuration
-  exportFolder: 'BlueCarbon_Covariates',
+  // Destination: 'DRIVE', 'ASSET' (Earth Engine asset) or 'GCS' (Cloud Storage).
+  // Asset export lets the sampling tool and prior script read the covariates
+  // directly without a download / re-upload.
+  exportDestination: 'DRIVE',
+  exportFolder: 'BlueCarbon_Covariates',  // Drive folder, or object prefix in the GCS bucket
+  exportAssetFolder: 'projects/your-project/assets/BlueCarbon_Covariates',  // Must already exist
+  exportBucket: '',                   // GCS bucket name (no gs://)
   exportPrefix: 'BlueCarbon',
   maxPixels: 1e13,
+  runIdInFileNames: true,             // Append the run ID (hash of CONFIG + SCRIPT_VERSION) to every file
+  
+  // Tiled Export (estuary-scale AOIs that exceed memory/time limits at 10 m)
+  // Splits the AOI into a square grid in processingCRS; every image export
+  // becomes one task per tile named <file>_rRR_cCC. A tile index table
+  // (tile_id, row, col, core tile geometry) is exported for mosaicking.
+  exportTiled: false,
+  tileSize_m: 20000,                  // Core tile edge length
+  tileOverlap_m: null,                // null = widest spatial context in use (see FOCAL_KERNEL_RADII)
+  
+  // Core Location Extraction (leave samplingPointsAsset empty to disable)
+  // Table asset uploaded from core_locations.csv (core_id, longitude, latitude,
+  // stratum, scenario_type). Exports one CSV row per core.
+  samplingPointsAsset: '',            // e.g. 'users/your_name/core_locations'
+  pointBufferRadius_m: 0,             // 0 = pixel value; > 0 = mean within buffer
+  
+  // Supervised Classification (leave trainingAsset empty to disable)
+  // Table asset of labelled polygons or points with an integer class code.
+  // Trains on allFeatures; the hold-out split is by feature (polygon), not
+  // by pixel, so accuracy is not inflated by neighbouring pixels.
+  trainingAsset: '',                  // e.g. 'users/your_name/training_polygons'
+  trainingClassProperty: 'class',
+  classNames: {1: 'marsh', 2: 'sav', 3: 'tidal_flat', 4: 'open_water'},  // Add user-defined codes here
+  classifier: 'RF',                   // 'RF' (random forest) | 'GBT' (gradient-boosted trees)
+  classifierTrees: 200,
+  trainingPointsPerClass: 500,        // Pixels sampled per class and split
+  trainingSplit: 0.7,                 // Fraction of features used for training
+  classifierSeed: 42,
+  classifierNoData: -9999,            // Fill for masked covariates (e.g. empty orbit composites)
+  
+  // Field-Calibrated Biomass (leave agbPlotsAsset empty to keep biomass_index)
+  // Point asset of AGB plots. One linear model per ecosystem (names as in
+  // classNames) is applied over the supervised class map, or over
+  // vegetation_class_categorical when no training asset is given, and
+  // replaces the unitless biomass_index.
+  agbPlotsAsset: '',                  // e.g. 'users/your_name/agb_plots'
+  agbProperty: 'agb_g_m2',
+  agbEcosystemProperty: 'ecosystem',
+  agbPredictors: ['NDVI_median_growing', 'EVI_median_growing', 'VH_median', 'VV_median'],
+  agbMinPlots: 10,                    // Ecosystems with fewer plots are left unpredicted
+  
+  // Collinearity Screening (exports a correlation matrix and band selection table)
+  // Bands are visited from least to most redundant (mean |r|); a band is kept
+  // if |r| < correlationThreshold with every kept band, then the highest-VIF
+  // band is dropped until all VIFs < vifThreshold. Class codes and flags are
+  // not screened.
+  screenCollinearity: false,
+  collinearitySamplePoints: 2000,
+  collinearityMinCoverage: 0.8,       // Bands valid in fewer sampled pixels are excluded
+  correlationThreshold: 0.9,          // |Pearson r|
+  vifThreshold: 10,
+  exportReducedStack: false,          // Also export the selected bands as one stack
+  
+  // Multi-Epoch Stacks (temporal / additionality analysis, R Modules 08-09)
+  // Each epoch is a year; optical, SAR and inundation covariates, plus the
+  // phenology, radar, seasonal, texture, biomass, sediment and vegetation
+  // groups that ran, are recomputed over the epochWindowYears ending in that
+  // year and suffixed _<year>. DEM- and JRC-derived groups (topo, tidal,
+  // connectivity, salinity) do not change between epochs and are exported
+  // once. Tide-stratified composites and the SAV water-column correction are
+  // calibrated on the study period (tide table, deep-water polygons) and stay
+  // study-period only. Also exports trend bands: Sen's slope of annual NDVI
+  // and the change in inundation frequency between the first and last epoch.
+  epochs: [],                         // e.g. [2018, 2021, 2024]; empty = single-period run
+  epochWindowYears: 1,
+  
+  // Export Mode
+  // 'INDIVIDUAL' = one GeoTIFF per band (one Drive task each)
+  // 'STACK'      = one multi-band COG for all covariates (+ one for QA layers)
+  // 'GROUPED'    = one multi-band COG per feature group (topo, optical, sar ...)
+  // A band manifest CSV (band order, group, units, source, dates, valid range)
+  // is exported in every mode.
+  exportMode: 'INDIVIDUAL',
   
   // Feature toggles
   includeTextureFeatures: true,
@@ -76,1086 +284,4459 @@ var CONFIG = {
   includePhenologyMetrics: true,
   includeRadarIndices: true,
   includeTidalIndicators: true,     // NEW: Tidal metrics
+  includeDynamicInundation: true,   // S1/S2 water-classification inundation frequency
   includeSalinityProxies: true,     // NEW: Salinity indicators
   includeConnectivityMetrics: true, // NEW: Hydrological connectivity
   includeBiomassProxies: true,      // NEW: Vegetation biomass
+  includeSedimentIndicators: true,
+  includeVegetationIndices: true,
   includeQualityLayers: true,
+  // Modules whose inputs are switched off are skipped or fall back (see
+  // MODULES below); a summary of what ran is printed before export.
   
   // DEM Selection
-  demSource: 'CDEM'  // Use CDEM for Canada
-};
-
-// Date ranges
-var startDate = ee.Date.fromYMD(CONFIG.yearStart, 1, 1);
-var endDate = ee.Date.fromYMD(CONFIG.yearEnd, 12, 31);
-var growingSeasonStart = ee.Date.fromYMD(CONFIG.yearStart, CONFIG.growingSeasonStartMonth, 1);
-var growingSeasonEnd = ee.Date.fromYMD(CONFIG.yearEnd, CONFIG.growingSeasonEndMonth, 30);
-
-Map.centerObject(CONFIG.aoi, 12);
-
-print('═══════════════════════════════════════════════════════');
-print('🌊 BLUE CARBON COVARIATE EXTRACTION');
-print('═══════════════════════════════════════════════════════');
-print('');
-print('AOI Area (km²):', CONFIG.aoi.area(1).divide(1e6).getInfo().toFixed(2));
-print('Date Range:', CONFIG.yearStart, '-', CONFIG.yearEnd);
-print('Export Scale:', CONFIG.exportScale, 'm');
-print('QA/QC: ENABLED');
-print('Coastal Features: ENABLED');
-print('');
-
-// ============================================================================
-// SECTION 2: TOPOGRAPHIC FEATURES WITH QA (COASTAL ADAPTED)
-// ============================================================================
-
-print('=== Processing Coastal Topographic Features ===');
-
-// Use CDEM for Canada
-var dem = ee.ImageCollection('NRCan/CDEM').mosaic().clip(CONFIG.aoi);
-var elevation = dem.rename('elevation_m');
-
-// QA CHECK: Elevation range validation
-var elevStats = elevation.reduceRegion({
-  reducer: ee.Reducer.minMax().combine(ee.Reducer.mean(), '', true),
-  geometry: CONFIG.aoi,
-  scale: CONFIG.exportScale * 4,
-  maxPixels: 1e9,
-  bestEffort: true
-});
-
-print('QA - Elevation Range:', elevStats);
-
-// Create elevation quality flag (coastal range)
-var elevationQA = elevation.gte(CONFIG.minElevation)
-  .and(elevation.lte(CONFIG.maxElevation))
-  .rename('elevation_valid_flag');
-
-// Calculate terrain derivatives
-var slope = ee.Terrain.slope(elevation).rename('slope_degrees');
-var aspect = ee.Terrain.aspect(elevation).rename('aspect_degrees');
-
-// QA CHECK: Slope validation (should be very low for coastal wetlands)
-var slopeStats = slope.reduceRegion({
-  reducer: ee.Reducer.percentile([50, 90, 95, 99]),
-  geometry: CONFIG.aoi,
-  scale: CONFIG.exportScale * 4,
-  maxPixels: 1e9,
-  bestEffort: true
-});
-
-print('QA - Slope Statistics:', slopeStats);
-print('  → Coastal wetlands should have low slopes (<5°)');
-
-// Flag steep slopes (rare in coastal wetlands, may indicate errors)
-var slopeQA = slope.lt(CONFIG.maxSlopeForCarbon).rename('slope_valid_flag');
-
-// Topographic Position Index (TPI) - Important for marsh microtopography
-var tpi = elevation.subtract(
-  elevation.focal_mean(100, 'circle', 'meters')  // Smaller radius for coastal
-).rename('TPI_100m');
-
-// Terrain Ruggedness Index
-var tri = elevation.subtract(
-  elevation.focal_median(3, 'square', 'pixels')
-).abs().rename('TRI');
-
-// NEW: Calculate Mean High Water proxy (95th percentile of coastal elevation)
-var mhw_proxy = elevation.reduceRegion({
-  reducer: ee.Reducer.percentile([95]),
-  geometry: CONFIG.aoi,
-  scale: 30,
-  maxPixels: 1e9,
-  bestEffort: true
-});
-
-var mhwElevation = ee.Number(mhw_proxy.values().get(0));
-print('  Estimated MHW Elevation:', mhwElevation.getInfo(), 'm');
-
-// NEW: Elevation relative to MHW (critical for tidal classification)
-var elevationRelMHW = elevation.subtract(mhwElevation).rename('elev_rel_MHW_m');
-
-var topographicFeatures = ee.Image.cat([
-  elevation, 
-  slope, 
-  aspect, 
-  tpi, 
-  tri, 
-  elevationRelMHW
-]);
-
-print('✓ Topographic features processed:', topographicFeatures.bandNames());
-
-// ============================================================================
-// SECTION 3: TIDAL & HYDROLOGICAL INDICATORS (BLUE CARBON SPECIFIC)
-// ============================================================================
-
-if (CONFIG.includeTidalIndicators) {
-  print('\n=== Processing Tidal & Hydrological Indicators ===');
-  
-  // Load JRC Global Surface Water
-  var waterOccurrence = ee.Image('JRC/GSW1_4/GlobalSurfaceWater')
-    .select('occurrence')
-    .clip(CONFIG.aoi)
-    .rename('water_occurrence_pct');
-  
-  var waterRecurrence = ee.Image('JRC/GSW1_4/GlobalSurfaceWater')
-    .select('recurrence')
-    .clip(CONFIG.aoi)
-    .rename('water_recurrence_pct');
+  // 'CDEM' | 'GLO30' (Copernicus) | 'NASADEM' | 'SRTM' | 'FABDEM' | 'LIDAR' (demAsset)
+  demSource: 'CDEM',  // Use CDEM for Canada
+  demAsset: '',                       // LiDAR DTM asset, e.g. 'users/your_name/lidar_dtm_1m'
+  demAssetBand: 'b1',
+  // Vertical datum conversion: elevation = DEM + offset (e.g. CGVD28 -> CGVD2013,
+  // geoid -> chart datum). The asset (single band, metres) overrides the constant.
+  demVerticalOffset_m: 0,
+  demVerticalOffsetAsset: '',
+  // LiDAR vegetation bias (dense Spartina returns sit above the marsh surface).
+  // Up to this many metres are subtracted, scaled by growing-season S2 NDVI.
+  lidarVegBiasCorrection_m: 0,        // 0 = off; ~0.1-0.2 typical for Spartina
+  lidarVegBiasNdviRange: [0.3, 0.8],  // NDVI at which correction starts / is full
   
-  var waterTransitions = ee.Image('JRC/GSW1_4/GlobalSurfaceWater')
-    .select('transition')
-    .clip(CONFIG.aoi)
-    .rename('water_transitions');
+  // Tidal Datums
+  // 'PROXY'    = MHW from 95th percentile of AOI elevation (legacy; AOI-dependent)
+  // 'CONSTANT' = values in tidalDatums (from the nearest gauge / benchmark sheet)
+  // 'ASSET'    = multi-band raster (bands MHHW, MHW, MSL, MLW, LLW) interpolated
+  //              between gauge stations
+  tidalDatumSource: 'PROXY',
+  tidalDatums: {MHHW: null, MHW: null, MSL: null, MLW: null, LLW: null},  // m
+  tidalDatumAsset: '',                // e.g. 'users/your_name/tidal_datums_interp'
+  // Conversion from the tidal datum reference (e.g. chart datum) to the DEM
+  // vertical datum: datum_in_DEM = datum + offset. Use the asset for a
+  // spatially varying separation surface (single band, metres).
+  tidalDatumOffset_m: 0,
+  tidalDatumOffsetAsset: '',
   
-  // QA CHECK: Water occurrence statistics
-  var waterStats = waterOccurrence.reduceRegion({
-    reducer: ee.Reducer.minMax().combine(ee.Reducer.mean(), '', true),
-    geometry: CONFIG.aoi,
-    scale: 30,
-    maxPixels: 1e9,
-    bestEffort: true
+  // Sea-Level-Rise Scenarios (empty = off)
+  // Rise (m) between yearEnd and 2100 per scenario. The path to each horizon
+  // follows the USACE/NRC curve: rise = a*dt + b*dt^2 with a = slrHistoricRate
+  // and b fitted to the 2100 total. Today's low and high marsh (zones 2-3)
+  // gain accretionRate * dt; horizons must fall after yearEnd (< 2100). Projected zones (m relative to MHW, slrZoneBreaks_m):
+  // 1 = subtidal/flat, 2 = low marsh, 3 = high marsh, 4 = upland transition,
+  // 5 = upland.
+  slrScenarios_m: [],                 // e.g. [0.3, 0.5, 1.0]
+  slrHorizonYears: [2050, 2100],
+  slrHistoricRate_m_yr: 0.0017,       // Linear term (global 20th-century rate)
+  slrAccretionRate_mm_yr: 0,          // Vertical accretion offset on the marsh platform
+  slrZoneBreaks_m: [-0.5, 0, 0.5, 2.0],  // Upper limits of zones 1-4
+  slrExcludeDeveloped: true           // Drop ESA WorldCover built-up from accommodation space
+};
+
+/**
+ * Serialize CONFIG as a config string (JSON). Drawn or literal AOIs are
+ * embedded as GeoJSON; asset AOIs are kept as CONFIG.aoiAsset.
+ */
+function configString() {
+  var values = {};
+  Object.keys(CONFIG).forEach(function(key) {
+    if (key !== 'aoi') {
+      values[key] = CONFIG[key];
+    }
   });
-  
-  print('QA - Water Occurrence:', waterStats);
-  
-  // NEW: Tidal inundation frequency (days per year)
-  var inundationFrequency = waterOccurrence.divide(100).multiply(365)
-    .rename('inundation_days_per_year');
-  
-  // NEW: Tidal zone classification proxy
-  var tidalZoneProxy = ee.Image(0)
-    .where(waterOccurrence.gte(90), 5)  // Open water
-    .where(waterOccurrence.gte(75).and(waterOccurrence.lt(90)), 4)  // Subtidal
-    .where(waterOccurrence.gte(50).and(waterOccurrence.lt(75)), 3)  // Low intertidal
-    .where(waterOccurrence.gte(25).and(waterOccurrence.lt(50)), 2)  // Mid intertidal
-    .where(waterOccurrence.gt(0).and(waterOccurrence.lt(25)), 1)    // High intertidal
-    .rename('tidal_zone_proxy');
-  
-  var tidalIndicators = ee.Image.cat([
-    waterOccurrence,
-    waterRecurrence,
-    waterTransitions,
-    inundationFrequency,
-    tidalZoneProxy
-  ]);
-  
-  print('✓ Tidal indicators processed:', tidalIndicators.bandNames());
+  if (!CONFIG.aoiAsset && CONFIG.aoi) {
+    values.aoi = CONFIG.aoi.toGeoJSON();
+  }
+  return JSON.stringify(values);
 }
 
-// ============================================================================
-// SECTION 4: SENTINEL-2 OPTICAL FEATURES (COASTAL ADAPTED)
-// ============================================================================
-
-print('\n=== Processing Sentinel-2 with Coastal Indices ===');
-
-function maskS2clouds(image) {
-  var qa = image.select('QA60');
-  var cloudBitMask = 1 << 10;
-  var cirrusBitMask = 1 << 11;
-  var mask = qa.bitwiseAnd(cloudBitMask).eq(0)
-      .and(qa.bitwiseAnd(cirrusBitMask).eq(0));
-  return image.updateMask(mask).divide(10000);
+/**
+ * Override CONFIG from a config string produced by configString(). CONFIG is
+ * left untouched if the string does not parse or has an unknown key.
+ */
+function applyConfigString(text) {
+  var values = JSON.parse(text);
+  Object.keys(values).forEach(function(key) {
+    if (!CONFIG.hasOwnProperty(key)) {
+      throw new Error('Unknown CONFIG key in config string: ' + key);
+    }
+  });
+  Object.keys(values).forEach(function(key) {
+    CONFIG[key] = key === 'aoi' ? ee.Geometry(values[key]) : values[key];
+  });
 }
 
-function addBlueCarboIndices(image) {
-  // Standard terrestrial indices
-  var ndvi = image.normalizedDifference(['B8', 'B4']).rename('NDVI');
-  var evi = image.expression(
-    '2.5 * ((NIR - RED) / (NIR + 6 * RED - 7.5 * BLUE + 1))',
-    {
-      'NIR': image.select('B8'),
-      'RED': image.select('B4'),
-      'BLUE': image.select('B2')
-    }).rename('EVI');
-  
-  // NEW: Coastal/Aquatic indices
-  
-  // Normalized Difference Water Index (NDWI) - Critical for tidal mapping
-  var ndwi = image.normalizedDifference(['B3', 'B8']).rename('NDWI');
-  
-  // Modified Normalized Difference Water Index (MNDWI) - Better for turbid water
-  var mndwi = image.normalizedDifference(['B3', 'B11']).rename('MNDWI');
-  
-  // Floating Algae Index (FAI) - For seagrass/macroalgae detection
-  var fai = image.expression(
-    'NIR - (RED + (SWIR1 - RED) * ((832.8 - 664.6) / (1613.7 - 664.6)))',
-    {
-      'NIR': image.select('B8'),
-      'RED': image.select('B4'),
-      'SWIR1': image.select('B11')
-    }).rename('FAI');
-  
-  // Water-Adjusted Vegetation Index (WAVI) - For submerged vegetation
-  var wavi = image.expression(
-    '((NIR - BLUE) / (NIR + BLUE)) * 1.5',
-    {
-      'NIR': image.select('B8'),
-      'BLUE': image.select('B2')
-    }).rename('WAVI');
-  
-  // Normalized Difference Moisture Index (NDMI)
-  var ndmi = image.normalizedDifference(['B8', 'B11']).rename('NDMI');
-  
-  // Red Edge indices (sensitive to chlorophyll in wetland vegetation)
-  var ndre1 = image.normalizedDifference(['B8', 'B5']).rename('NDRE1');
-  var ndre2 = image.normalizedDifference(['B8', 'B6']).rename('NDRE2');
-  
-  // Chlorophyll Index Red Edge (for biomass)
-  var ciRedEdge = image.expression(
-    '(NIR / RED_EDGE) - 1',
-    {
-      'NIR': image.select('B8'),
-      'RED_EDGE': image.select('B5')
-    }).rename('CI_RedEdge');
-  
-  // Soil-Adjusted Vegetation Index (for sparse vegetation)
-  var savi = image.expression(
-    '((NIR - RED) / (NIR + RED + 0.5)) * 1.5',
-    {
-      'NIR': image.select('B8'),
-      'RED': image.select('B4')
-    }).rename('SAVI');
-  
-  // Green Chlorophyll Index
-  var gci = image.expression('(NIR / GREEN) - 1', {
-    'NIR': image.select('B8'),
-    'GREEN': image.select('B3')
-  }).rename('GCI');
-  
-  return image.addBands([
-    ndvi, evi, ndwi, mndwi, fai, wavi, ndmi, 
-    ndre1, ndre2, ciRedEdge, savi, gci
-  ]);
+// A malformed or stale config string stops a direct run; the app starts from
+// the CONFIG defaults and reports it
+var savedConfig = CONFIG_STRING || ui.url.get('config', '');
+var savedConfigError = null;
+if (savedConfig) {
+  try {
+    applyConfigString(savedConfig);
+    print('✓ CONFIG restored from config string');
+  } catch (e) {
+    if (!LAUNCH_APP) {
+      throw e;
+    }
+    savedConfigError = e.message;
+    print('⚠️ Invalid config string, using CONFIG defaults:', e.message);
+  }
 }
 
-var s2 = ee.ImageCollection('COPERNICUS/S2_SR_HARMONIZED')
-  .filterBounds(CONFIG.aoi)
-  .filterDate(startDate, endDate)
-  .filter(ee.Filter.lt('CLOUDY_PIXEL_PERCENTAGE', CONFIG.s2CloudThreshold))
-  .map(maskS2clouds)
-  .map(addBlueCarboIndices);
+// Optional covariate modules. 'flag' is the CONFIG key that switches a module
+// on; it runs only if every module in 'requires' (and at least one in
+// 'requiresAny') ran before it. Modules that can do without another module
+// check moduleRan() themselves and record a moduleFallback().
+// Topography, optical, SAR and JRC water occurrence are always loaded.
+var MODULES = {
+  tidal: {label: 'Tidal & hydrological indicators', flag: 'includeTidalIndicators'},
+  phenology: {label: 'Harmonic phenology', flag: 'includePhenologyMetrics'},
+  radar: {label: 'Radar indices', flag: 'includeRadarIndices'},
+  seasonal: {label: 'Seasonal composites', flag: 'includeSeasonalMetrics'},
+  tide: {label: 'Tide-stratified composites', flag: 'tideTableAsset'},
+  texture: {label: 'GLCM texture', flag: 'includeTextureFeatures'},
+  inundation: {label: 'Dynamic inundation frequency', flag: 'includeDynamicInundation'},
+  connectivity: {label: 'Hydrological connectivity', flag: 'includeConnectivityMetrics'},
+  salinity: {label: 'Salinity proxies', flag: 'includeSalinityProxies'},
+  biomass: {label: 'Biomass proxies', flag: 'includeBiomassProxies'},
+  sediment: {label: 'Sediment dynamics', flag: 'includeSedimentIndicators'},
+  vegetation: {label: 'Vegetation classification indices', flag: 'includeVegetationIndices'},
+  savwater: {label: 'SAV water-column correction', flag: 'savDeepWaterAsset'},
+  supervised: {label: 'Supervised classification', flag: 'trainingAsset'},
+  agb: {label: 'Field-calibrated biomass', flag: 'agbPlotsAsset', requires: ['biomass'],
+        requiresAny: ['supervised', 'vegetation']},
+  epochs: {label: 'Multi-epoch stacks', flag: 'epochs'},
+  slr: {label: 'Sea-level-rise scenarios', flag: 'slrScenarios_m'}
+};
 
-// QA CHECK: Image availability
-var s2Count = s2.size().getInfo();
-print('QA - Sentinel-2 image count:', s2Count);
+/**
+ * Decide whether a module runs and record the outcome for the run summary
+ */
+function startModule(name) {
+  var module = MODULES[name];
+  module.notes = [];
+  var flag = CONFIG[module.flag];
+  if (!flag || flag.length === 0) {
+    module.status = 'off';
+    return false;
+  }
+  var missing = (module.requires || []).filter(function(dep) { return !moduleRan(dep); });
+  var anyOf = module.requiresAny || [];
+  if (anyOf.length && !anyOf.some(moduleRan)) {
+    missing.push(anyOf.join(' or '));
+  }
+  if (missing.length) {
+    module.status = 'skipped';
+    module.notes.push('needs ' + missing.join(', '));
+    print('⚠️ Skipping ' + module.label + ': needs ' + missing.join(', '));
+    return false;
+  }
+  module.status = 'ran';
+  return true;
+}
 
-if (s2Count < CONFIG.minObservationsRequired) {
-  print('  ⚠️ WARNING: Low image count. Consider expanding date range or relaxing cloud threshold.');
+function moduleRan(name) {
+  return MODULES[name].status === 'ran';
 }
 
-var s2_growing = s2.filterDate(growingSeasonStart, growingSeasonEnd);
-
-// Use size check without blocking
-s2_growing.size().evaluate(function(count) {
-  print('QA - S2 growing season count:', count);
-  if (count === 0) {
-    print('  ⚠️ WARNING: No images in growing season. Using annual data for growing season metrics.');
-  }
-});
-
-// If growing season is empty, use annual data as substitute
-s2_growing = ee.Algorithms.If(
-  s2_growing.size().gt(0),
-  s2_growing,
-  s2  // Fallback to annual if no growing season data
-);
-s2_growing = ee.ImageCollection(s2_growing);
-
-// Calculate comprehensive metrics
-var opticalMetrics = ee.Image.cat([
-  // Annual NDVI
-  s2.select('NDVI').median().rename('NDVI_median_annual'),
-  s2.select('NDVI').mean().rename('NDVI_mean_annual'),
-  s2.select('NDVI').reduce(ee.Reducer.stdDev()).rename('NDVI_stddev_annual'),
-  s2.select('NDVI').min().rename('NDVI_min_annual'),
-  s2.select('NDVI').max().rename('NDVI_max_annual'),
-  
-  // Growing season NDVI
-  s2_growing.select('NDVI').median().rename('NDVI_median_growing'),
-  s2_growing.select('NDVI').mean().rename('NDVI_mean_growing'),
-  
-  // NDVI amplitude (phenology proxy)
-  s2.select('NDVI').max().subtract(s2.select('NDVI').min()).rename('NDVI_amplitude'),
-  
-  // Annual EVI
-  s2.select('EVI').median().rename('EVI_median_annual'),
-  s2.select('EVI').mean().rename('EVI_mean_annual'),
-  s2.select('EVI').reduce(ee.Reducer.stdDev()).rename('EVI_stddev_annual'),
-  
-  // Growing season EVI
-  s2_growing.select('EVI').median().rename('EVI_median_growing'),
-  s2_growing.select('EVI').mean().rename('EVI_mean_growing'),
-  
-  // NEW: Water indices (critical for coastal)
-  s2.select('NDWI').median().rename('NDWI_median_annual'),
-  s2.select('NDWI').mean().rename('NDWI_mean_annual'),
-  s2.select('NDWI').reduce(ee.Reducer.stdDev()).rename('NDWI_stddev_annual'),
-  s2_growing.select('NDWI').median().rename('NDWI_median_growing'),
-  
-  s2.select('MNDWI').median().rename('MNDWI_median_annual'),
-  s2.select('MNDWI').mean().rename('MNDWI_mean_annual'),
-  s2_growing.select('MNDWI').median().rename('MNDWI_median_growing'),
-  
-  // NEW: Floating Algae Index
-  s2.select('FAI').median().rename('FAI_median_annual'),
-  s2_growing.select('FAI').median().rename('FAI_median_growing'),
-  
-  // NEW: Water-Adjusted Vegetation Index (for submerged veg)
-  s2.select('WAVI').median().rename('WAVI_median_annual'),
-  s2_growing.select('WAVI').median().rename('WAVI_median_growing'),
-  
-  // Moisture indices
-  s2.select('NDMI').median().rename('NDMI_median_annual'),
-  s2_growing.select('NDMI').median().rename('NDMI_median_growing'),
-  
-  // Red Edge indices (biomass proxy)
-  s2.select('NDRE1').median().rename('NDRE1_median_annual'),
-  s2.select('NDRE2').median().rename('NDRE2_median_annual'),
-  s2_growing.select('NDRE1').median().rename('NDRE1_median_growing'),
-  s2_growing.select('NDRE2').median().rename('NDRE2_median_growing'),
-  
-  // Chlorophyll indices
-  s2.select('CI_RedEdge').median().rename('CI_RedEdge_median_annual'),
-  s2_growing.select('CI_RedEdge').median().rename('CI_RedEdge_median_growing'),
-  
-  // SAVI (for sparse vegetation)
-  s2.select('SAVI').median().rename('SAVI_median_annual'),
-  s2_growing.select('SAVI').median().rename('SAVI_median_growing'),
-  
-  // GCI
-  s2.select('GCI').median().rename('GCI_median_annual'),
-  s2_growing.select('GCI').median().rename('GCI_median_growing'),
-  
-  // Phenology percentiles (growing season dynamics)
-  s2.select('NDVI').reduce(ee.Reducer.percentile([10, 25, 50, 75, 90]))
-    .rename(['NDVI_p10', 'NDVI_p25', 'NDVI_p50', 'NDVI_p75', 'NDVI_p90'])
-]);
-
-// QA CHECK: Coastal index ranges
-var ndwiStats = opticalMetrics.select('NDWI_median_annual').reduceRegion({
-  reducer: ee.Reducer.minMax().combine(ee.Reducer.mean(), '', true),
-  geometry: CONFIG.aoi,
-  scale: CONFIG.exportScale * 4,
-  maxPixels: 1e9,
-  bestEffort: true
-});
-
-print('QA - NDWI Statistics:', ndwiStats);
-print('  → Positive NDWI indicates water presence');
-
-// DEBUG: Print actual band names in opticalMetrics
-opticalMetrics.bandNames().evaluate(function(bands) {
-  print('DEBUG - Optical metrics bands created:', bands.length);
-  print('DEBUG - Band names:', bands);
-});
-
-// Create coastal vegetation QA flags
-var ndviQA = opticalMetrics.select('NDVI_median_annual')
-  .gte(CONFIG.minNDVI).and(opticalMetrics.select('NDVI_median_annual').lte(CONFIG.maxNDVI))
-  .rename('NDVI_valid_flag');
-
-var ndwiQA = opticalMetrics.select('NDWI_median_annual')
-  .gte(CONFIG.minNDWI).and(opticalMetrics.select('NDWI_median_annual').lte(CONFIG.maxNDWI))
-  .rename('NDWI_valid_flag');
-
-print('✓ Optical metrics processed:', opticalMetrics.bandNames().length().getInfo(), 'bands');
+/**
+ * Record (and print) a fallback taken because an optional input is missing
+ */
+function moduleFallback(name, note) {
+  MODULES[name].notes.push(note);
+  print('⚠️ ' + MODULES[name].label + ': ' + note);
+}
 
 // ============================================================================
-// SECTION 5: SENTINEL-1 SAR FEATURES (COASTAL ADAPTED)
+// COVARIATE PIPELINE (SECTIONS 2-15)
 // ============================================================================
 
-print('\n=== Processing Sentinel-1 SAR (Coastal) ===');
-
-var s1 = ee.ImageCollection('COPERNICUS/S1_GRD')
-  .filterBounds(CONFIG.aoi)
-  .filterDate(startDate, endDate)
-  .filter(ee.Filter.listContains('transmitterReceiverPolarisation', 'VV'))
-  .filter(ee.Filter.listContains('transmitterReceiverPolarisation', 'VH'))
-  .filter(ee.Filter.eq('instrumentMode', 'IW'))
-  .map(function(img) {
-    var vv = img.select('VV').focal_median(CONFIG.s1SpeckleFilterSize, 'square', 'pixels');
-    var vh = img.select('VH').focal_median(CONFIG.s1SpeckleFilterSize, 'square', 'pixels');
-    return img.addBands(vv, null, true).addBands(vh, null, true);
-  });
+/**
+ * Build every covariate group, QA layer and table for the current CONFIG.
+ * createExports = false previews the layers without creating export tasks.
+ */
+function runCovariates(createExports) {
+  // Resolve the AOI
+  if (CONFIG.aoiAsset) {
+    CONFIG.aoi = ee.FeatureCollection(CONFIG.aoiAsset).geometry();
+  }
+  if (!CONFIG.aoi) {
+    throw new Error('No AOI: draw a geometry, set CONFIG.aoiAsset or use the builder app');
+  }
 
-print('QA - Sentinel-1 image count:', s1.size().getInfo());
+  // Date ranges
+  var startDate = ee.Date.fromYMD(CONFIG.yearStart, 1, 1);
+  var endDate = ee.Date.fromYMD(CONFIG.yearEnd, 12, 31);
+  var growingSeasonStart = ee.Date.fromYMD(CONFIG.yearStart, CONFIG.growingSeasonStartMonth, 1);
+  var growingSeasonEnd = ee.Date.fromYMD(CONFIG.yearEnd, CONFIG.growingSeasonEndMonth, 30);
+
+  Map.centerObject(CONFIG.aoi, 12);
+
+  print('═══════════════════════════════════════════════════════');
+  print('🌊 BLUE CARBON COVARIATE EXTRACTION');
+  print('═══════════════════════════════════════════════════════');
+  print('');
+  print('AOI Area (km²):', CONFIG.aoi.area(1).divide(1e6).getInfo().toFixed(2));
+  print('Date Range:', CONFIG.yearStart, '-', CONFIG.yearEnd);
+  print('Export Scale:', CONFIG.exportScale, 'm');
+  print('QA/QC: ENABLED');
+  print('Coastal Features: ENABLED');
+  print('');
+
+  // ============================================================================
+  // SECTION 2: TOPOGRAPHIC FEATURES WITH QA (COASTAL ADAPTED)
+  // ============================================================================
+
+  print('=== Processing Coastal Topographic Features ===');
+
+  /**
+   * Mosaic a DEM tile collection, keeping the native projection so terrain
+   * derivatives are computed at native resolution
+   */
+  function mosaicDEM(collectionId, band) {
+    var tiles = ee.ImageCollection(collectionId).filterBounds(CONFIG.aoi).select(band);
+    if (tiles.size().getInfo() === 0) {
+      throw new Error('demSource ' + CONFIG.demSource + ' has no coverage over the AOI (' + collectionId + ')');
+    }
+    return tiles.mosaic().setDefaultProjection(tiles.first().projection());
+  }
 
-// Calculate SAR metrics
-var sarFeatures = ee.Image.cat([
-  // VV polarization (sensitive to surface roughness/flooding)
-  s1.select('VV').median().rename('VV_median'),
-  s1.select('VV').mean().rename('VV_mean'),
-  s1.select('VV').reduce(ee.Reducer.stdDev()).rename('VV_stddev'),
-  
-  // VH polarization (sensitive to vegetation structure)
-  s1.select('VH').median().rename('VH_median'),
-  s1.select('VH').mean().rename('VH_mean'),
-  s1.select('VH').reduce(ee.Reducer.stdDev()).rename('VH_stddev'),
-  
-  // VV/VH ratio (vegetation biomass proxy)
-  s1.select('VV').median().subtract(s1.select('VH').median()).rename('VV_VH_ratio'),
-  
-  // Temporal variability (important for tidal dynamics)
-  s1.select('VV').reduce(ee.Reducer.percentile([10, 90]))
-    .rename(['VV_p10', 'VV_p90'])
-]);
+  // DEM sources. Codes are written to the QA layers (dem_source_code).
+  var DEM_SOURCES = {
+    CDEM: {code: 1, label: 'NRCan CDEM (~20 m, CGVD28)', load: function() {
+      return mosaicDEM('NRCan/CDEM', 'elevation');
+    }},
+    GLO30: {code: 2, label: 'Copernicus GLO-30 (30 m, EGM2008)', load: function() {
+      return mosaicDEM('COPERNICUS/DEM/GLO30', 'DEM');
+    }},
+    NASADEM: {code: 3, label: 'NASADEM (30 m, EGM96)', load: function() {
+      return ee.Image('NASA/NASADEM_HGT/001').select('elevation');
+    }},
+    SRTM: {code: 4, label: 'SRTM GL1 v3 (30 m, EGM96)', load: function() {
+      return ee.Image('USGS/SRTMGL1_003').select('elevation');
+    }},
+    FABDEM: {code: 5, label: 'FABDEM (30 m, forest/buildings removed, EGM2008)', load: function() {
+      return mosaicDEM('projects/sat-io/open-datasets/FABDEM', 'b1');
+    }},
+    LIDAR: {code: 6, label: 'User LiDAR DTM (' + CONFIG.demAsset + ')', load: function() {
+      return ee.Image(CONFIG.demAsset).select(CONFIG.demAssetBand);
+    }}
+  };
+
+  var demSource = DEM_SOURCES[CONFIG.demSource];
+  if (!demSource) {
+    throw new Error('Unknown CONFIG.demSource: ' + CONFIG.demSource +
+                    ' (use ' + Object.keys(DEM_SOURCES).join(', ') + ')');
+  }
+  if (CONFIG.demSource === 'LIDAR' && !CONFIG.demAsset) {
+    throw new Error('CONFIG.demSource is LIDAR but CONFIG.demAsset is empty');
+  }
 
-// SAR QA flags
-var vvQA = sarFeatures.select('VV_median')
-  .gte(CONFIG.minVV).and(sarFeatures.select('VV_median').lte(CONFIG.maxVV))
-  .rename('VV_valid_flag');
+  print('DEM source:', demSource.label);
+
+  var dem = demSource.load().toFloat().clip(CONFIG.aoi);
+
+  // Vertical datum conversion
+  var demVerticalOffset = CONFIG.demVerticalOffsetAsset ?
+    ee.Image(CONFIG.demVerticalOffsetAsset).select(0) :
+    ee.Image.constant(CONFIG.demVerticalOffset_m);
+  dem = dem.add(demVerticalOffset);
+
+  // LiDAR vegetation bias correction, scaled by growing-season NDVI
+  var demVegBias = ee.Image.constant(0);
+  if (CONFIG.demSource === 'LIDAR' && CONFIG.lidarVegBiasCorrection_m > 0) {
+    var biasNDVI = ee.ImageCollection('COPERNICUS/S2_SR_HARMONIZED')
+      .filterBounds(CONFIG.aoi)
+      .filterDate(growingSeasonStart, growingSeasonEnd)
+      .linkCollection(ee.ImageCollection('GOOGLE/CLOUD_SCORE_PLUS/V1/S2_HARMONIZED'), ['cs_cdf'])
+      .map(function(img) {
+        return img.updateMask(img.select('cs_cdf').gte(CONFIG.csPlusThreshold))
+          .normalizedDifference(['B8', 'B4']);
+      })
+      .median();
+    
+    demVegBias = biasNDVI
+      .unitScale(CONFIG.lidarVegBiasNdviRange[0], CONFIG.lidarVegBiasNdviRange[1])
+      .clamp(0, 1)
+      .multiply(CONFIG.lidarVegBiasCorrection_m)
+      .unmask(0);
+    dem = dem.subtract(demVegBias);
+    print('  LiDAR vegetation bias correction: up to', CONFIG.lidarVegBiasCorrection_m, 'm');
+  }
 
-var vhQA = sarFeatures.select('VH_median')
-  .gte(CONFIG.minVH).and(sarFeatures.select('VH_median').lte(CONFIG.maxVH))
-  .rename('VH_valid_flag');
+  var elevation = dem.rename('elevation_m');
 
-print('✓ SAR features processed:', sarFeatures.bandNames());
+  // DEM provenance for the QA layers
+  var demInfo = ee.Image.cat([
+    ee.Image.constant(demSource.code).rename('dem_source_code'),
+    demVerticalOffset.rename('dem_vertical_offset_m'),
+    demVegBias.rename('dem_veg_bias_correction_m')
+  ]).clip(CONFIG.aoi);
 
-// ============================================================================
-// SECTION 6: HYDROLOGICAL CONNECTIVITY (BLUE CARBON SPECIFIC)
-// ============================================================================
+  // QA CHECK: Elevation range validation
+  var elevStats = elevation.reduceRegion({
+    reducer: ee.Reducer.minMax().combine(ee.Reducer.mean(), '', true),
+    geometry: CONFIG.aoi,
+    scale: CONFIG.exportScale * 4,
+    maxPixels: 1e9,
+    bestEffort: true
+  });
 
-if (CONFIG.includeConnectivityMetrics) {
-  print('\n=== Processing Hydrological Connectivity ===');
-  
-  // Calculate flow direction using D8 algorithm (8 directions)
-  // D8 flow direction: identifies steepest downslope neighbor
-  var flowDirection = ee.Terrain.aspect(elevation).rename('flow_direction_degrees');
-
-  // Proper D8 flow accumulation algorithm
-  // This calculates true flow accumulation by summing contributing cells
-  // Uses iterative accumulation with neighborhood analysis
-
-  // Step 1: Calculate slope to each neighbor (3x3 window)
-  var neighbors = [
-    [-1, -1], [-1, 0], [-1, 1],  // Top row
-    [0, -1],           [0, 1],    // Middle row (skip center)
-    [1, -1],  [1, 0],  [1, 1]     // Bottom row
-  ];
+  print('QA - Elevation Range:', elevStats);
 
-  // Calculate flow direction as aspect-based drainage
-  var slopeRadians = slope.multiply(Math.PI).divide(180);
-  var aspectRadians = flowDirection.multiply(Math.PI).divide(180);
-
-  // Step 2: Calculate contributing area using focal operations
-  // Each pixel contributes to downstream pixels based on flow direction
-  // Approximate flow accumulation using iterative focal sums weighted by slope
-  var flowAccumulation = ee.Image(1);  // Initialize with 1 (self)
-
-  // Iterate to accumulate flow (D8 approximation using focal operations)
-  for (var iter = 0; iter < 5; iter++) {  // 5 iterations for local watersheds
-    var flowContribution = flowAccumulation
-      .focal_max({
-        kernel: ee.Kernel.square({radius: 1, units: 'pixels'}),
-        iterations: 1
-      })
-      .multiply(slopeRadians.divide(10).add(1));  // Weight by slope
+  // Create elevation quality flag (coastal range)
+  var elevationQA = elevation.gte(CONFIG.minElevation)
+    .and(elevation.lte(CONFIG.maxElevation))
+    .rename('elevation_valid_flag');
 
-    flowAccumulation = flowAccumulation.add(flowContribution.multiply(0.3));
-  }
+  // Calculate terrain derivatives
+  var slope = ee.Terrain.slope(elevation).rename('slope_degrees');
+  var aspect = ee.Terrain.aspect(elevation).rename('aspect_degrees');
 
-  flowAccumulation = flowAccumulation
-    .log10()  // Log scale for better visualization
-    .rename('flow_accumulation_log');
-  
-  // Alternative: Use slope to identify potential channels
-  var channelPotential = slope.lt(2)  // Very flat areas
-    .and(elevation.lt(mhwElevation))  // Below MHW
-    .rename('channel_potential');
-  
-  // Distance to potential channels (low-lying flat areas)
-  var channelMask = slope.lt(1).and(elevation.lt(mhwElevation.subtract(0.5)));
-  var distToChannel = channelMask.not().distance(ee.Kernel.euclidean(1000, 'meters'))
-    .clip(CONFIG.aoi)
-    .rename('dist_to_channel_m');
-  
-  // Topographic Wetness Index (simplified for coastal)
-  var slopeForTWI = slope.max(0.1);  // Avoid division by zero
-  var twi = elevation.multiply(-1)  // Lower elevation = wetter
-    .add(10)  // Offset
-    .divide(slopeForTWI.add(0.1))
-    .rename('TWI');
-  
-  // NEW: Lateral transport potential (proxy for carbon export)
-  // Based on slope and proximity to channels
-  var lateralTransportPotential = slope
-    .multiply(distToChannel.divide(100).add(1))
-    .log()
-    .rename('lateral_transport_potential');
-  
-  // Flow convergence index (terrain curvature-based)
-  var curvature = elevation.convolve(ee.Kernel.laplacian8())
-    .rename('terrain_curvature');
-  
-  var connectivityMetrics = ee.Image.cat([
-    flowAccumulation,
-    channelPotential,
-    distToChannel,
-    twi,
-    lateralTransportPotential,
-    curvature
-  ]);
-  
-  print('✓ Connectivity metrics processed:', connectivityMetrics.bandNames());
-}
+  // QA CHECK: Slope validation (should be very low for coastal wetlands)
+  var slopeStats = slope.reduceRegion({
+    reducer: ee.Reducer.percentile([50, 90, 95, 99]),
+    geometry: CONFIG.aoi,
+    scale: CONFIG.exportScale * 4,
+    maxPixels: 1e9,
+    bestEffort: true
+  });
 
-// ============================================================================
-// SECTION 7: SALINITY PROXIES (BLUE CARBON SPECIFIC)
-// ============================================================================
+  print('QA - Slope Statistics:', slopeStats);
+  print('  → Coastal wetlands should have low slopes (<5°)');
+
+  // Flag steep slopes (rare in coastal wetlands, may indicate errors)
+  var slopeQA = slope.lt(CONFIG.maxSlopeForCarbon).rename('slope_valid_flag');
+
+  // Topographic Position Index (TPI) - Important for marsh microtopography
+  var tpi = elevation.subtract(
+    elevation.focal_mean(100, 'circle', 'meters')  // Smaller radius for coastal
+  ).rename('TPI_100m');
+
+  // Terrain Ruggedness Index
+  var tri = elevation.subtract(
+    elevation.focal_median(3, 'square', 'pixels')
+  ).abs().rename('TRI');
+
+  // Tidal datums in the DEM vertical datum, one band per datum
+  var TIDAL_DATUM_NAMES = ['MHHW', 'MHW', 'MSL', 'MLW', 'LLW'];
+  var tidalDatums;
+  var tidalDatumNames;
+
+  if (CONFIG.tidalDatumSource === 'PROXY') {
+    // Legacy: Mean High Water proxy (95th percentile of coastal elevation)
+    var mhw_proxy = elevation.reduceRegion({
+      reducer: ee.Reducer.percentile([95]),
+      geometry: CONFIG.aoi,
+      scale: 30,
+      maxPixels: 1e9,
+      bestEffort: true
+    });
+    
+    tidalDatums = ee.Image.constant(ee.Number(mhw_proxy.values().get(0))).rename('MHW');
+    tidalDatumNames = ['MHW'];
+    print('  ⚠️ WARNING: MHW estimated from AOI elevation (changes with the AOI).',
+          'Set CONFIG.tidalDatumSource to CONSTANT or ASSET for verification runs.');
+  } else {
+    if (CONFIG.tidalDatumSource === 'CONSTANT') {
+      tidalDatumNames = TIDAL_DATUM_NAMES.filter(function(name) {
+        return CONFIG.tidalDatums[name] !== null && CONFIG.tidalDatums[name] !== undefined;
+      });
+      tidalDatums = ee.Image.constant(tidalDatumNames.map(function(name) {
+        return CONFIG.tidalDatums[name];
+      })).rename(tidalDatumNames);
+    } else if (CONFIG.tidalDatumSource === 'ASSET') {
+      tidalDatums = ee.Image(CONFIG.tidalDatumAsset);
+      var assetBands = tidalDatums.bandNames().getInfo();
+      tidalDatumNames = TIDAL_DATUM_NAMES.filter(function(name) {
+        return assetBands.indexOf(name) !== -1;
+      });
+      tidalDatums = tidalDatums.select(tidalDatumNames);
+    } else {
+      throw new Error('Unknown CONFIG.tidalDatumSource: ' + CONFIG.tidalDatumSource);
+    }
+    
+    if (tidalDatumNames.indexOf('MHW') === -1) {
+      throw new Error('Tidal datums must include at least MHW');
+    }
+    
+    // Convert from the tidal datum reference to the DEM vertical datum
+    var datumOffset = CONFIG.tidalDatumOffsetAsset ?
+      ee.Image(CONFIG.tidalDatumOffsetAsset).select(0) :
+      ee.Image.constant(CONFIG.tidalDatumOffset_m);
+    tidalDatums = tidalDatums.add(datumOffset).rename(tidalDatumNames);
+  }
 
-if (CONFIG.includeSalinityProxies) {
-  print('\n=== Processing Salinity Proxies (Multi-Factor) ===');
-
-  // FACTOR 1: Distance to permanent water bodies (ocean/estuary proxy)
-  var permanentWater = waterOccurrence.gte(90);
-  var distToOcean = permanentWater.fastDistanceTransform()
-    .sqrt()
-    .multiply(ee.Image.pixelArea().sqrt())
-    .rename('dist_to_ocean_m');
-
-  // Normalized distance score (0-10, closer to ocean = higher)
-  var oceanProximityScore = distToOcean.divide(1000).multiply(-1).add(10)
-    .clamp(0, 10)
-    .rename('ocean_proximity_score');
-
-  // FACTOR 2: Tidal inundation frequency (more frequent = higher salinity exposure)
-  // Use water occurrence as proxy for tidal influence
-  var tidalInfluenceScore = waterOccurrence.divide(10)  // Scale to 0-10
-    .clamp(0, 10)
-    .rename('tidal_influence_score');
-
-  // FACTOR 3: Freshwater input proxy
-  // Higher elevation areas and those far from drainage channels likely have less freshwater dilution
-  // Lower elevation coastal areas with high water occurrence but low elevation = more marine influence
-  var minElevation = ee.Number(elevation.reduceRegion({
-    reducer: ee.Reducer.min(),
+  var mhwElevation = tidalDatums.select('MHW');
+  print('  Tidal datum source:', CONFIG.tidalDatumSource, '- datums:', tidalDatumNames);
+  print('  MHW Elevation (AOI mean, DEM datum):', mhwElevation.reduceRegion({
+    reducer: ee.Reducer.mean(),
     geometry: CONFIG.aoi,
     scale: 30,
-    bestEffort: true,
-    maxPixels: 1e9
-  }).values().get(0));
-
-  var freshwaterDilution = elevation.subtract(minElevation)
-    .divide(5)  // Normalize by typical coastal elevation range (5m)
-    .clamp(0, 10);
-
-  // Invert so low values = high salinity (less freshwater dilution)
-  var freshwaterDeficit = ee.Image(10).subtract(freshwaterDilution)
-    .rename('freshwater_deficit_score');
-
-  // FACTOR 4: Drainage connectivity (using flow accumulation)
-  // Areas with high flow accumulation receive more freshwater runoff
-  // Log scale and invert: low flow = high salinity
-  var drainageIsolation = ee.Image(10).subtract(
-    flowAccumulation.unitScale(0, 2).multiply(10)  // Normalize log flow accum
-  ).clamp(0, 10).rename('drainage_isolation_score');
-
-  // MULTI-FACTOR SALINITY RISK INDEX
-  // Weighted combination of all factors (0-100 scale)
-  // Higher values = higher salinity conditions
-  var salinityRiskIndex = oceanProximityScore.multiply(0.35)      // 35% - distance to ocean
-    .add(tidalInfluenceScore.multiply(0.30))                      // 30% - tidal inundation
-    .add(freshwaterDeficit.multiply(0.20))                        // 20% - freshwater deficit
-    .add(drainageIsolation.multiply(0.15))                        // 15% - drainage isolation
-    .multiply(10)  // Scale to 0-100
-    .rename('salinity_risk_index_0_100');
-
-  // Categorical salinity zones (for stratification)
-  var salinityZone = ee.Image(0)
-    .where(salinityRiskIndex.gte(70), 4)   // Euhaline (marine, >30 ppt)
-    .where(salinityRiskIndex.gte(50).and(salinityRiskIndex.lt(70)), 3)  // Polyhaline (18-30 ppt)
-    .where(salinityRiskIndex.gte(30).and(salinityRiskIndex.lt(50)), 2)  // Mesohaline (5-18 ppt)
-    .where(salinityRiskIndex.gte(10).and(salinityRiskIndex.lt(30)), 1)  // Oligohaline (0.5-5 ppt)
-    .rename('salinity_zone_categorical');
-
-  var salinityProxies = ee.Image.cat([
-    distToOcean,
-    oceanProximityScore,
-    tidalInfluenceScore,
-    freshwaterDeficit,
-    drainageIsolation,
-    salinityRiskIndex,
-    salinityZone
-  ]);
-
-  print('✓ Multi-factor salinity proxies processed:', salinityProxies.bandNames());
-  print('  → Factors: Ocean proximity, Tidal influence, Freshwater deficit, Drainage isolation');
-}
-
-// ============================================================================
-// SECTION 8: BIOMASS PROXIES (BLUE CARBON SPECIFIC)
-// ============================================================================
+    maxPixels: 1e9,
+    bestEffort: true
+  }).get('MHW'), 'm');
+
+  // NEW: Elevation relative to each tidal datum (critical for tidal classification)
+  var elevationRelMHW = elevation.subtract(mhwElevation).rename('elev_rel_MHW_m');
+
+  var elevationRelDatums = ee.Image.cat(tidalDatumNames.filter(function(name) {
+    return name !== 'MHW';
+  }).map(function(name) {
+    return elevation.subtract(tidalDatums.select(name)).rename('elev_rel_' + name + '_m');
+  }));
+
+  // Standardized tidal frame position: Z* = 0 at MSL, 1 at MHW
+  var hasTidalFrame = tidalDatumNames.indexOf('MSL') !== -1;
+  if (hasTidalFrame) {
+    var tidalFrameZ = elevation.subtract(tidalDatums.select('MSL'))
+      .divide(mhwElevation.subtract(tidalDatums.select('MSL')))
+      .rename('tidal_frame_zstar');
+  }
 
-if (CONFIG.includeBiomassProxies) {
-  print('\n=== Processing Biomass Proxies ===');
-
-  // Combined optical-SAR biomass index
-  // NOTE: Current weights (0.4 NDVI, 0.3 EVI, 0.3 SAR) are generic defaults
-  // TODO: Calibrate these weights using field biomass measurements for your specific
-  //       coastal ecosystem types (marsh vs seagrass vs mangrove). Site-specific
-  //       calibration can improve biomass estimation accuracy by 20-40%.
-  //       Recommended approach: Multiple regression with field AGB samples.
-  var biomassIndex = opticalMetrics.select('NDVI_median_growing').multiply(0.4)
-    .add(opticalMetrics.select('EVI_median_growing').multiply(0.3))
-    .add(sarFeatures.select('VH_median').divide(-20).multiply(0.3))  // Normalized SAR
-    .rename('biomass_index');
-  
-  // Canopy height proxy (VH-VV difference, normalized)
-  var canopyHeightProxy = sarFeatures.select('VH_median')
-    .subtract(sarFeatures.select('VV_median'))
-    .multiply(-1)
-    .rename('canopy_height_proxy');
-  
-  // Vegetation productivity proxy (NDVI * EVI)
-  var productivityProxy = opticalMetrics.select('NDVI_median_growing')
-    .multiply(opticalMetrics.select('EVI_median_growing'))
-    .rename('productivity_proxy');
-  
-  var biomassProxies = ee.Image.cat([
-    biomassIndex,
-    canopyHeightProxy,
-    productivityProxy
+  var topographicFeatures = ee.Image.cat([
+    elevation, 
+    slope, 
+    aspect, 
+    tpi, 
+    tri, 
+    elevationRelMHW,
+    elevationRelDatums
   ]);
-  
-  print('✓ Biomass proxies processed:', biomassProxies.bandNames());
-}
 
-// ============================================================================
-// SECTION 9: SEDIMENT DYNAMICS INDICATORS (BLUE CARBON SPECIFIC)
-// ============================================================================
-
-print('\n=== Processing Sediment Dynamics Indicators ===');
-
-// INDICATOR 1: Turbidity Proxy
-// Use red band reflectance and NDWI to estimate turbidity
-// Higher red reflectance + lower NDWI = higher turbidity
-var redReflectance = s2.select('B4').median().rename('red_reflectance_median');
-var turbidityProxy = redReflectance
-  .multiply(opticalMetrics.select('NDWI_median_annual').multiply(-1).add(1))  // Invert NDWI
-  .multiply(1000)  // Scale up for visualization
-  .rename('turbidity_proxy');
-
-// Turbidity temporal variability (indicates active sediment transport)
-var turbidityVariability = s2.select('B4').reduce(ee.Reducer.stdDev())
-  .multiply(1000)
-  .rename('turbidity_variability');
-
-// INDICATOR 2: Sediment Supply Index
-// Combines flow accumulation, slope, and erosion potential
-// Higher values = more sediment being transported to the area
-
-// Erosion potential from upslope areas (steep areas with high flow accumulation)
-var erosionPotential = slope
-  .multiply(flowAccumulation.unitScale(0, 2))  // Weight by drainage area
-  .rename('upslope_erosion_potential');
-
-// Sediment delivery potential (considers both source and transport)
-var sedimentSupplyIndex = erosionPotential
-  .focal_mean(300, 'circle', 'meters')  // Aggregate upslope erosion
-  .multiply(flowAccumulation)
-  .log10()  // Log scale
-  .rename('sediment_supply_index');
-
-// INDICATOR 3: Local Erosion Risk
-// Based on: elevation position, slope, water exposure, vegetation cover
-
-// Exposure to wave/current energy (combination of water occurrence and position)
-var waveExposure = waterOccurrence.divide(100)
-  .multiply(ee.Image(1).subtract(opticalMetrics.select('NDVI_median_annual').clamp(0, 1)))  // Low veg = high exposure
-  .multiply(elevation.lt(mhwElevation).multiply(2).add(1))  // Below MHW = more exposed
-  .rename('wave_exposure_index');
-
-// Erosion risk score (0-100)
-// High risk = steep, unvegetated, tidally exposed, low sediment supply
-var erosionRisk = slope.unitScale(0, 5).multiply(20)  // 20% - slope contribution
-  .add(ee.Image(100).subtract(opticalMetrics.select('NDVI_median_annual').add(1).multiply(50)).clamp(0, 100).multiply(0.25))  // 25% - low veg
-  .add(waveExposure.unitScale(0, 2).multiply(100).multiply(0.30))  // 30% - wave exposure
-  .add(ee.Image(100).subtract(sedimentSupplyIndex.unitScale(0, 3).multiply(100)).clamp(0, 100).multiply(0.25))  // 25% - low sediment supply
-  .clamp(0, 100)
-  .rename('erosion_risk_score_0_100');
-
-// INDICATOR 4: Accretion Potential
-// Inverse of erosion - areas likely to accumulate sediment
-// High accretion = low slope, sheltered, vegetated, high sediment supply
-var accretionPotential = ee.Image(100).subtract(slope.unitScale(0, 5).multiply(100)).multiply(0.20)  // 20% - low slope
-  .add(opticalMetrics.select('NDVI_median_annual').add(1).multiply(50).clamp(0, 100).multiply(0.25))  // 25% - high veg
-  .add(ee.Image(100).subtract(waveExposure.unitScale(0, 2).multiply(100)).clamp(0, 100).multiply(0.30))  // 30% - sheltered
-  .add(sedimentSupplyIndex.unitScale(0, 3).multiply(100).clamp(0, 100).multiply(0.25))  // 25% - high sediment supply
-  .clamp(0, 100)
-  .rename('accretion_potential_0_100');
-
-var sedimentDynamics = ee.Image.cat([
-  turbidityProxy,
-  turbidityVariability,
-  erosionPotential,
-  sedimentSupplyIndex,
-  waveExposure,
-  erosionRisk,
-  accretionPotential
-]);
-
-print('✓ Sediment dynamics indicators processed:', sedimentDynamics.bandNames());
-print('  → Turbidity, Sediment supply, Erosion risk, Accretion potential');
+  if (hasTidalFrame) {
+    topographicFeatures = topographicFeatures.addBands(tidalFrameZ);
+  }
 
-// ============================================================================
-// SECTION 10: VEGETATION CLASSIFICATION (BLUE CARBON SPECIFIC)
-// ============================================================================
+  print('✓ Topographic features processed:', topographicFeatures.bandNames());
 
-print('\n=== Processing Vegetation Classification Indices ===');
-
-// Spectral separability indices for coastal vegetation types
-// Goal: Differentiate emergent marsh vs seagrass/SAV vs unvegetated
-
-// INDEX 1: Emergent Marsh Indicator
-// Emergent marsh: High NDVI, moderate NDWI (not fully aquatic), high NIR
-// Strong vegetation signal but emergent above water
-var emergentMarshIndex = opticalMetrics.select('NDVI_median_growing')
-  .multiply(0.4)  // Strong vegetation
-  .add(opticalMetrics.select('NDWI_median_annual').multiply(-0.3).add(0.3))  // Not too wet
-  .add(opticalMetrics.select('SAVI_median_growing').multiply(0.3))  // Soil-adjusted veg
-  .clamp(0, 1)
-  .rename('emergent_marsh_index');
-
-// INDEX 2: Submerged Aquatic Vegetation (SAV/Seagrass) Indicator
-// SAV: Moderate NDVI, high NDWI (aquatic), high WAVI, positive FAI
-// Vegetation signal but in water
-var savSeagrassIndex = opticalMetrics.select('WAVI_median_growing')
-  .multiply(0.35)  // Water-adjusted veg index
-  .add(opticalMetrics.select('FAI_median_growing').clamp(-0.1, 0.2).add(0.1).multiply(0.25))  // Floating algae index
-  .add(opticalMetrics.select('NDWI_median_annual').clamp(0, 0.5).multiply(0.25))  // Moderately aquatic
-  .add(opticalMetrics.select('NDVI_median_growing').clamp(0.1, 0.5).multiply(0.15))  // Some veg signal
-  .clamp(0, 1)
-  .rename('sav_seagrass_index');
-
-// INDEX 3: Unvegetated Tidal Flat Indicator
-// Low NDVI, variable NDWI (tidal exposure), high red/SWIR reflectance
-var tidalFlatIndex = ee.Image(1)
-  .subtract(opticalMetrics.select('NDVI_median_annual').clamp(-0.2, 0.3).add(0.2).divide(0.5))  // Low NDVI
-  .multiply(0.4)
-  .add(waterOccurrence.divide(100).multiply(0.3))  // Some tidal influence
-  .add(s2.select('B11').median().clamp(0, 0.3).divide(0.3).multiply(0.3))  // High SWIR (soil/sediment)
-  .clamp(0, 1)
-  .rename('tidal_flat_index');
-
-// INDEX 4: Open Water Indicator
-// High NDWI, negative NDVI, high water occurrence
-var openWaterIndex = opticalMetrics.select('MNDWI_median_annual')
-  .clamp(-0.2, 0.8)
-  .add(0.2)
-  .divide(1.0)
-  .multiply(0.5)
-  .add(waterOccurrence.divide(100).multiply(0.5))
-  .clamp(0, 1)
-  .rename('open_water_index');
-
-// Dominant vegetation type classification (winner-takes-all)
-var vegTypeScore = ee.Image.cat([
-  emergentMarshIndex.multiply(10).rename('score_marsh'),
-  savSeagrassIndex.multiply(10).rename('score_sav'),
-  tidalFlatIndex.multiply(10).rename('score_flat'),
-  openWaterIndex.multiply(10).rename('score_water')
-]);
-
-var dominantVegType = vegTypeScore.reduce(ee.Reducer.max())
-  .eq(vegTypeScore)
-  .reduce(ee.Reducer.sum())  // Count matches
-  .where(vegTypeScore.reduce(ee.Reducer.max()).lt(2), 0);  // Low confidence = 0
-
-// Assign categories: 1=Marsh, 2=SAV/Seagrass, 3=Tidal Flat, 4=Open Water
-var vegClassification = ee.Image(0)
-  .where(emergentMarshIndex.eq(vegTypeScore.reduce(ee.Reducer.max()).divide(10)), 1)
-  .where(savSeagrassIndex.eq(vegTypeScore.reduce(ee.Reducer.max()).divide(10)), 2)
-  .where(tidalFlatIndex.eq(vegTypeScore.reduce(ee.Reducer.max()).divide(10)), 3)
-  .where(openWaterIndex.eq(vegTypeScore.reduce(ee.Reducer.max()).divide(10)), 4)
-  .updateMask(vegTypeScore.reduce(ee.Reducer.max()).gte(2))  // Mask low confidence
-  .rename('vegetation_class_categorical');
-
-// Classification confidence (0-100)
-var classificationConfidence = vegTypeScore.reduce(ee.Reducer.max())
-  .multiply(10)
-  .clamp(0, 100)
-  .rename('veg_classification_confidence');
-
-var vegetationClassification = ee.Image.cat([
-  emergentMarshIndex,
-  savSeagrassIndex,
-  tidalFlatIndex,
-  openWaterIndex,
-  vegClassification,
-  classificationConfidence
-]);
-
-print('✓ Vegetation classification processed:', vegetationClassification.bandNames());
-print('  → Classes: 1=Emergent Marsh, 2=SAV/Seagrass, 3=Tidal Flat, 4=Open Water');
+  // ============================================================================
+  // SECTION 3: TIDAL & HYDROLOGICAL INDICATORS (BLUE CARBON SPECIFIC)
+  // ============================================================================
 
-// ============================================================================
-// SECTION 11: OBSERVATION COUNTS & QA LAYERS
-// ============================================================================
+  // Shared input: JRC water occurrence is also used by the salinity, sediment
+  // and vegetation modules, so it is loaded even when this module is off
+  var waterOccurrence = ee.Image('JRC/GSW1_4/GlobalSurfaceWater')
+    .select('occurrence')
+    .clip(CONFIG.aoi)
+    .rename('water_occurrence_pct');
 
-print('\n=== Processing Quality Assessment Layers ===');
-
-// Count observations
-var observationCounts = ee.Image.cat([
-  s2.select('NDVI').count().rename('optical_observation_count'),
-  s2_growing.select('NDVI').count().rename('optical_growing_count'),
-  s1.select('VV').count().rename('SAR_observation_count')
-]);
-
-// Minimum observation flag
-var minObsFlag = ee.Image.cat([
-  observationCounts.select('optical_observation_count')
-    .gte(CONFIG.minObservationsRequired)
-    .rename('optical_sufficient_flag'),
-  observationCounts.select('SAR_observation_count')
-    .gte(CONFIG.minObservationsRequired)
-    .rename('SAR_sufficient_flag')
-]);
-
-// Spatial heterogeneity (Coefficient of Variation)
-var ndviCV = opticalMetrics.select('NDVI_stddev_annual')
-  .divide(opticalMetrics.select('NDVI_mean_annual').abs().add(0.001))
-  .multiply(100)
-  .rename('NDVI_spatial_CV_pct');
-
-var spatialHomogeneityFlag = ndviCV.lt(CONFIG.spatialCV_threshold)
-  .rename('spatial_homogeneity_flag');
-
-// Composite quality score (0-100)
-var qualityScore = ee.Image.cat([
-  elevationQA.multiply(10),
-  slopeQA.multiply(10),
-  ndviQA.multiply(15),
-  ndwiQA.multiply(15),  // NEW: Water index QA
-  vvQA.multiply(10),
-  vhQA.multiply(10),
-  minObsFlag.select('optical_sufficient_flag').multiply(15),
-  minObsFlag.select('SAR_sufficient_flag').multiply(10),
-  spatialHomogeneityFlag.multiply(5)
-]).reduce(ee.Reducer.sum()).rename('composite_quality_score');
-
-// Overall data completeness mask
-var completeMask = ee.Image.cat([
-  topographicFeatures,
-  opticalMetrics,
-  sarFeatures
-]).mask().reduce(ee.Reducer.min()).rename('data_completeness');
-
-// Combine all QA layers
-var qualityLayers = ee.Image.cat([
-  observationCounts,
-  elevationQA,
-  slopeQA,
-  ndviQA,
-  ndwiQA,
-  vvQA,
-  vhQA,
-  minObsFlag,
-  spatialHomogeneityFlag,
-  ndviCV,
-  qualityScore,
-  completeMask
-]);
-
-// Calculate quality statistics
-qualityScore.reduceRegion({
-  reducer: ee.Reducer.mean()
-    .combine(ee.Reducer.percentile([10, 50, 90]), '', true),
-  geometry: CONFIG.aoi,
-  scale: CONFIG.exportScale * CONFIG.qaStatsScaleMultiplier,
-  maxPixels: 1e9,
-  bestEffort: true
-}).evaluate(function(qualityStats) {
-  print('\n=== QUALITY ASSESSMENT SUMMARY ===');
-  print('Mean Quality Score:', qualityStats.composite_quality_score_mean);
-  print('Quality Score Distribution:', qualityStats);
-});
-
-completeMask.reduceRegion({
-  reducer: ee.Reducer.mean(),
-  geometry: CONFIG.aoi,
-  scale: CONFIG.exportScale * CONFIG.qaStatsScaleMultiplier,
-  maxPixels: 1e9,
-  bestEffort: true
-}).evaluate(function(completenessPercent) {
-  print('Data Completeness:', (completenessPercent.data_completeness * 100).toFixed(1), '%');
-});
-
-qualityScore.gte(70).reduceRegion({
-  reducer: ee.Reducer.mean(),
-  geometry: CONFIG.aoi,
-  scale: CONFIG.exportScale * CONFIG.qaStatsScaleMultiplier,
-  maxPixels: 1e9,
-  bestEffort: true
-}).evaluate(function(highQualityPercent) {
-  print('High Quality Area (score ≥70):', (highQualityPercent.composite_quality_score * 100).toFixed(1), '%');
-  print('✓ Quality assessment complete');
-});
+  if (startModule('tidal')) {
+    print('\n=== Processing Tidal & Hydrological Indicators ===');
+    
+    var waterRecurrence = ee.Image('JRC/GSW1_4/GlobalSurfaceWater')
+      .select('recurrence')
+      .clip(CONFIG.aoi)
+      .rename('water_recurrence_pct');
+    
+    var waterTransitions = ee.Image('JRC/GSW1_4/GlobalSurfaceWater')
+      .select('transition')
+      .clip(CONFIG.aoi)
+      .rename('water_transitions');
+    
+    // QA CHECK: Water occurrence statistics
+    var waterStats = waterOccurrence.reduceRegion({
+      reducer: ee.Reducer.minMax().combine(ee.Reducer.mean(), '', true),
+      geometry: CONFIG.aoi,
+      scale: 30,
+      maxPixels: 1e9,
+      bestEffort: true
+    });
+    
+    print('QA - Water Occurrence:', waterStats);
+    
+    // NEW: Tidal inundation frequency (days per year)
+    var inundationFrequency = waterOccurrence.divide(100).multiply(365)
+      .rename('inundation_days_per_year');
+    
+    // NEW: Tidal zone classification proxy
+    var tidalZoneProxy = ee.Image(0)
+      .where(waterOccurrence.gte(90), 5)  // Open water
+      .where(waterOccurrence.gte(75).and(waterOccurrence.lt(90)), 4)  // Subtidal
+      .where(waterOccurrence.gte(50).and(waterOccurrence.lt(75)), 3)  // Low intertidal
+      .where(waterOccurrence.gte(25).and(waterOccurrence.lt(50)), 2)  // Mid intertidal
+      .where(waterOccurrence.gt(0).and(waterOccurrence.lt(25)), 1)    // High intertidal
+      .rename('tidal_zone_proxy');
+    
+    var tidalIndicators = ee.Image.cat([
+      waterOccurrence,
+      waterRecurrence,
+      waterTransitions,
+      inundationFrequency,
+      tidalZoneProxy
+    ]);
+    
+    print('✓ Tidal indicators processed:', tidalIndicators.bandNames());
+  }
 
-// ============================================================================
-// SECTION 12: COMBINE ALL FEATURES
-// ============================================================================
+  // ============================================================================
+  // SECTION 4: OPTICAL FEATURES - SENTINEL-2 OR LANDSAT (COASTAL ADAPTED)
+  // ============================================================================
+
+  // Optical source definitions. Every source is renamed to the Sentinel-2 band
+  // names (B2, B3, B4, B8, B11, B12) so the index and metric code below is
+  // identical for both sensors.
+  var OPTICAL_SOURCES = {
+    S2: {
+      label: 'Sentinel-2 SR Harmonized',
+      hasRedEdge: true,
+      // Band centre wavelengths (nm) used by the Floating Algae Index
+      faiWavelengths: {red: 664.6, nir: 832.8, swir1: 1613.7}
+    },
+    LANDSAT: {
+      label: 'Landsat 5/7/8/9 Collection 2 SR (harmonized to OLI)',
+      hasRedEdge: false,
+      faiWavelengths: {red: 654.6, nir: 864.6, swir1: 1609.0}
+    }
+  };
 
-print('\n=== Combining All Covariate Layers ===');
+  var opticalSource = OPTICAL_SOURCES[CONFIG.opticalSource];
+  if (!opticalSource) {
+    throw new Error('Unknown CONFIG.opticalSource: ' + CONFIG.opticalSource +
+                    ' (use ' + Object.keys(OPTICAL_SOURCES).join(' or ') + ')');
+  }
 
-var allFeatures = ee.Image.cat([
-  topographicFeatures,
-  tidalIndicators,
-  opticalMetrics,
-  sarFeatures,
-  connectivityMetrics,
-  salinityProxies,
-  biomassProxies,
-  sedimentDynamics,
-  vegetationClassification
-]).clip(CONFIG.aoi).toFloat();
+  print('\n=== Processing ' + opticalSource.label + ' with Coastal Indices ===');
+
+  // Sentinel-2 cloud mask strategies. Each returns a 1/0 clear-pixel image for a
+  // raw (unscaled) S2 image carrying the linked 'probability' and Cloud Score+
+  // bands. Note that QA60 is unpopulated for much of 2022-2023 (processing
+  // baseline 04.00), which silently disables that mask.
+  var S2_CLOUD_MASKS = {
+    QA60: function(image) {
+      var qa = image.select('QA60');
+      var cloudBitMask = 1 << 10;
+      var cirrusBitMask = 1 << 11;
+      return qa.bitwiseAnd(cloudBitMask).eq(0)
+          .and(qa.bitwiseAnd(cirrusBitMask).eq(0));
+    },
+    
+    S2CLOUDLESS: function(image) {
+      var isCloud = image.select('probability').gt(CONFIG.s2cloudlessProbThreshold);
+      
+      // Dark NIR pixels that are not water are shadow candidates
+      var notWater = image.select('SCL').neq(6);
+      var darkPixels = image.select('B8')
+        .lt(CONFIG.s2cloudlessNirDarkThreshold * 10000)
+        .multiply(notWater);
+      
+      // Project clouds away from the sun to find where their shadows fall
+      var shadowAzimuth = ee.Number(90).subtract(ee.Number(image.get('MEAN_SOLAR_AZIMUTH_ANGLE')));
+      var cloudProjection = isCloud
+        .directionalDistanceTransform(shadowAzimuth, CONFIG.s2cloudlessProjectionDist_km * 10)
+        .reproject({crs: image.select(0).projection(), scale: 100})
+        .select('distance')
+        .mask();
+      var isShadow = cloudProjection.multiply(darkPixels);
+      
+      // Remove small specks, then buffer cloud + shadow
+      var cloudShadow = isCloud.add(isShadow).gt(0)
+        .focalMin(2)
+        .focalMax(CONFIG.s2cloudlessBuffer_m * 2 / 20)
+        .reproject({crs: image.select(0).projection(), scale: 20});
+      
+      return cloudShadow.not();
+    },
+    
+    CLOUDSCORE_PLUS: function(image) {
+      return image.select(CONFIG.csPlusBand).gte(CONFIG.csPlusThreshold);
+    }
+  };
 
-print('Total covariate bands:', allFeatures.bandNames().length().getInfo());
-print('Covariate bands:', allFeatures.bandNames());
+  if (!S2_CLOUD_MASKS[CONFIG.s2CloudMask]) {
+    throw new Error('Unknown CONFIG.s2CloudMask: ' + CONFIG.s2CloudMask +
+                    ' (use ' + Object.keys(S2_CLOUD_MASKS).join(', ') + ')');
+  }
 
-// ============================================================================
-// SECTION 13: VISUALIZATION
-// ============================================================================
+  function maskS2clouds(image) {
+    var mask = S2_CLOUD_MASKS[CONFIG.s2CloudMask](image);
+    return ee.Image(image.select('B.*').updateMask(mask).divide(10000)
+      .copyProperties(image, ['system:time_start']));
+  }
 
-print('\n=== Adding Visualization Layers ===');
-
-Map.addLayer(elevation, {min: -5, max: 10, palette: ['blue', 'cyan', 'yellow', 'green']}, 
-            'Elevation (m)', false);
-Map.addLayer(slope, {min: 0, max: 5, palette: ['white', 'yellow', 'red']}, 
-            'Slope (degrees)', false);
-Map.addLayer(waterOccurrence, {min: 0, max: 100, palette: ['white', 'cyan', 'blue']}, 
-            'Water Occurrence %', false);
-Map.addLayer(opticalMetrics.select('NDVI_median_growing'), 
-            {min: -0.2, max: 0.8, palette: ['blue', 'white', 'green']}, 
-            'NDVI Growing Season', false);
-Map.addLayer(opticalMetrics.select('NDWI_median_annual'),
-            {min: -0.5, max: 0.5, palette: ['brown', 'white', 'blue']},
-            'NDWI (Water Index)', false);
-Map.addLayer(sarFeatures.select('VH_median'), 
-            {min: -25, max: -10, palette: ['black', 'white', 'green']}, 
-            'SAR VH (Vegetation)', false);
-Map.addLayer(qualityScore, 
-            {min: 0, max: 100, palette: ['red', 'yellow', 'green']}, 
-            'Quality Score', true);
-
-if (CONFIG.includeBiomassProxies) {
-  Map.addLayer(biomassProxies.select('biomass_index'),
-              {min: 0, max: 0.5, palette: ['brown', 'yellow', 'green']},
-              'Biomass Index', false);
-}
+  // Landsat Collection 2 Level-2 sensors, with their SR bands ordered as
+  // [blue, green, red, nir, swir1, swir2]
+  var LANDSAT_SENSORS = {
+    LT05: {id: 'LANDSAT/LT05/C02/T1_L2', bands: ['SR_B1', 'SR_B2', 'SR_B3', 'SR_B4', 'SR_B5', 'SR_B7'], harmonize: true},
+    LE07: {id: 'LANDSAT/LE07/C02/T1_L2', bands: ['SR_B1', 'SR_B2', 'SR_B3', 'SR_B4', 'SR_B5', 'SR_B7'], harmonize: true},
+    LC08: {id: 'LANDSAT/LC08/C02/T1_L2', bands: ['SR_B2', 'SR_B3', 'SR_B4', 'SR_B5', 'SR_B6', 'SR_B7'], harmonize: false},
+    LC09: {id: 'LANDSAT/LC09/C02/T1_L2', bands: ['SR_B2', 'SR_B3', 'SR_B4', 'SR_B5', 'SR_B6', 'SR_B7'], harmonize: false}
+  };
+
+  var OPTICAL_BAND_NAMES = ['B2', 'B3', 'B4', 'B8', 'B11', 'B12'];
+
+  // TM/ETM+ -> OLI surface reflectance transformation (Roy et al. 2016, Table 2 OLS)
+  var ETM_TO_OLI = {
+    slopes: [0.8474, 0.8483, 0.9047, 0.8462, 0.8937, 0.9071],
+    intercepts: [0.0003, 0.0088, 0.0061, 0.0412, 0.0254, 0.0172]
+  };
+
+  /**
+   * Mask Landsat C2 clouds, cloud shadow and saturation, apply the SR scale
+   * factors and rename to Sentinel-2 band names
+   */
+  function prepLandsat(image, sensor) {
+    var qa = image.select('QA_PIXEL');
+    // Bits: 1 = dilated cloud, 2 = cirrus, 3 = cloud, 4 = cloud shadow
+    var mask = qa.bitwiseAnd(parseInt('11110', 2)).eq(0)
+      .and(image.select('QA_RADSAT').eq(0));
+    
+    var sr = image.select(sensor.bands)
+      .multiply(0.0000275).add(-0.2)  // Collection 2 SR scale/offset
+      .rename(OPTICAL_BAND_NAMES);
+    
+    if (sensor.harmonize) {
+      sr = sr.multiply(ee.Image.constant(ETM_TO_OLI.slopes))
+        .add(ee.Image.constant(ETM_TO_OLI.intercepts))
+        .rename(OPTICAL_BAND_NAMES);
+    }
+    
+    return ee.Image(sr.updateMask(mask)
+      .copyProperties(image, ['system:time_start', 'SPACECRAFT_ID']));
+  }
 
-print('✓ Visualization layers added');
+  /**
+   * Merge all Landsat sensors for the date range into one harmonized collection
+   */
+  function loadLandsat(start, end) {
+    var sensorKeys = ['LT05', 'LC08', 'LC09'];
+    if (CONFIG.landsatIncludeL7) {
+      sensorKeys.push('LE07');
+    }
+    
+    var merged = ee.ImageCollection([]);
+    sensorKeys.forEach(function(key) {
+      var sensor = LANDSAT_SENSORS[key];
+      var collection = ee.ImageCollection(sensor.id)
+        .filterBounds(CONFIG.aoi)
+        .filterDate(start, end)
+        .filter(ee.Filter.lt('CLOUD_COVER', CONFIG.landsatCloudThreshold))
+        .map(function(image) { return prepLandsat(image, sensor); });
+      merged = merged.merge(collection);
+    });
+    
+    return merged.sort('system:time_start');
+  }
 
-// ============================================================================
-// SECTION 14: EXPORT FUNCTIONS
-// ============================================================================
+  /**
+   * Load unmasked Sentinel-2 SR with s2cloudless and Cloud Score+ bands linked
+   */
+  function loadSentinel2Raw(start, end) {
+    return ee.ImageCollection('COPERNICUS/S2_SR_HARMONIZED')
+      .filterBounds(CONFIG.aoi)
+      .filterDate(start, end)
+      .filter(ee.Filter.lt('CLOUDY_PIXEL_PERCENTAGE', CONFIG.s2CloudThreshold))
+      .linkCollection(ee.ImageCollection('COPERNICUS/S2_CLOUD_PROBABILITY'), ['probability'])
+      .linkCollection(ee.ImageCollection('GOOGLE/CLOUD_SCORE_PLUS/V1/S2_HARMONIZED'), ['cs', 'cs_cdf']);
+  }
 
-print('\n========================================');
-print('READY TO EXPORT BLUE CARBON COVARIATES');
-print('========================================\n');
+  /**
+   * Load cloud-masked Sentinel-2 SR scaled to reflectance
+   */
+  function loadSentinel2(start, end) {
+    return loadSentinel2Raw(start, end).map(maskS2clouds);
+  }
 
-/**
- * Export individual bands as separate GeoTIFF files
- */
-function exportIndividualBands() {
-  print('=== EXPORTING INDIVIDUAL COVARIATE BANDS ===');
-  
-  var bandNames = allFeatures.bandNames().getInfo();
-  
-  print('Total bands to export:', bandNames.length);
-  print('Export folder:', CONFIG.exportFolder);
-  print('\nCreating export tasks...\n');
-  
-  for (var i = 0; i < bandNames.length; i++) {
-    var bandName = bandNames[i];
-    var singleBand = allFeatures.select(bandName);
-    var cleanName = bandName.replace(/[^a-zA-Z0-9_]/g, '_');
-    
-    Export.image.toDrive({
-      image: singleBand.toFloat(),
-      description: CONFIG.exportPrefix + '_' + cleanName,
-      fileNamePrefix: cleanName,
-      folder: CONFIG.exportFolder,
-      region: CONFIG.aoi,
-      scale: CONFIG.exportScale,
-      crs: CONFIG.exportCRS,
-      maxPixels: CONFIG.maxPixels,
-      fileFormat: 'GeoTIFF',
-      formatOptions: {
-        cloudOptimized: true
-      }
+  /**
+   * Per-pixel count of clear observations under every S2 cloud mask strategy
+   * (only the configured one without compareCloudMasks), or Landsat QA_PIXEL
+   */
+  function cloudMaskObservationCounts() {
+    if (CONFIG.opticalSource === 'LANDSAT') {
+      return optical.select('B8').count().rename('valid_obs_count_qa_pixel');
+    }
+    
+    var raw = loadSentinel2Raw(startDate, endDate);
+    var strategies = CONFIG.compareCloudMasks ? Object.keys(S2_CLOUD_MASKS) : [CONFIG.s2CloudMask];
+    var counts = strategies.map(function(strategy) {
+      // linkCollection gives scenes without an s2cloudless or Cloud Score+
+      // match fully masked link bands, so they unmask to 0 clear observations
+      // here (and add no pixels to the composite under that strategy)
+      return raw.map(function(image) {
+        return S2_CLOUD_MASKS[strategy](image).unmask(0).rename('valid');
+      }).merge(ee.ImageCollection([ee.Image.constant(0).rename('valid')]))  // 0 when there are no scenes
+        .sum().toInt16().rename('valid_obs_count_' + strategy.toLowerCase());
     });
     
-    if ((i + 1) % 10 === 0 || i === bandNames.length - 1) {
-      print('  Created tasks:', (i + 1), '/', bandNames.length);
+    return ee.Image.cat(counts).clip(CONFIG.aoi);
+  }
+
+  function addBlueCarboIndices(image) {
+    var fw = opticalSource.faiWavelengths;
+    
+    // Standard terrestrial indices
+    var ndvi = image.normalizedDifference(['B8', 'B4']).rename('NDVI');
+    var evi = image.expression(
+      '2.5 * ((NIR - RED) / (NIR + 6 * RED - 7.5 * BLUE + 1))',
+      {
+        'NIR': image.select('B8'),
+        'RED': image.select('B4'),
+        'BLUE': image.select('B2')
+      }).rename('EVI');
+    
+    // NEW: Coastal/Aquatic indices
+    
+    // Normalized Difference Water Index (NDWI) - Critical for tidal mapping
+    var ndwi = image.normalizedDifference(['B3', 'B8']).rename('NDWI');
+    
+    // Modified Normalized Difference Water Index (MNDWI) - Better for turbid water
+    var mndwi = image.normalizedDifference(['B3', 'B11']).rename('MNDWI');
+    
+    // Floating Algae Index (FAI) - For seagrass/macroalgae detection
+    var fai = image.expression(
+      'NIR - (RED + (SWIR1 - RED) * ((' + fw.nir + ' - ' + fw.red + ') / (' + fw.swir1 + ' - ' + fw.red + ')))',
+      {
+        'NIR': image.select('B8'),
+        'RED': image.select('B4'),
+        'SWIR1': image.select('B11')
+      }).rename('FAI');
+    
+    // Water-Adjusted Vegetation Index (WAVI) - For submerged vegetation
+    var wavi = image.expression(
+      '((NIR - BLUE) / (NIR + BLUE)) * 1.5',
+      {
+        'NIR': image.select('B8'),
+        'BLUE': image.select('B2')
+      }).rename('WAVI');
+    
+    // Normalized Difference Moisture Index (NDMI)
+    var ndmi = image.normalizedDifference(['B8', 'B11']).rename('NDMI');
+    
+    // Soil-Adjusted Vegetation Index (for sparse vegetation)
+    var savi = image.expression(
+      '((NIR - RED) / (NIR + RED + 0.5)) * 1.5',
+      {
+        'NIR': image.select('B8'),
+        'RED': image.select('B4')
+      }).rename('SAVI');
+    
+    // Green Chlorophyll Index
+    var gci = image.expression('(NIR / GREEN) - 1', {
+      'NIR': image.select('B8'),
+      'GREEN': image.select('B3')
+    }).rename('GCI');
+    
+    var indices = [ndvi, evi, ndwi, mndwi, fai, wavi, ndmi, savi, gci];
+    
+    if (opticalSource.hasRedEdge) {
+      // Red Edge indices (sensitive to chlorophyll in wetland vegetation)
+      var ndre1 = image.normalizedDifference(['B8', 'B5']).rename('NDRE1');
+      var ndre2 = image.normalizedDifference(['B8', 'B6']).rename('NDRE2');
+      
+      // Chlorophyll Index Red Edge (for biomass)
+      var ciRedEdge = image.expression(
+        '(NIR / RED_EDGE) - 1',
+        {
+          'NIR': image.select('B8'),
+          'RED_EDGE': image.select('B5')
+        }).rename('CI_RedEdge');
+      
+      indices = indices.concat([ndre1, ndre2, ciRedEdge]);
     }
+    
+    return image.addBands(indices);
   }
-  
-  print('\n✓ All covariate band export tasks created!');
-}
 
-/**
- * Export quality assessment layers
- */
-function exportQualityLayers() {
-  print('\n=== EXPORTING QUALITY ASSESSMENT LAYERS ===');
-  
-  var qaLayerNames = qualityLayers.bandNames().getInfo();
-  
-  print('QA layers to export:', qaLayerNames.length);
-  
-  for (var i = 0; i < qaLayerNames.length; i++) {
-    var layerName = qaLayerNames[i];
-    var singleLayer = qualityLayers.select(layerName);
-    var cleanName = 'QA_' + layerName.replace(/[^a-zA-Z0-9_]/g, '_');
-    
-    Export.image.toDrive({
-      image: singleLayer.toFloat(),
-      description: cleanName,
-      fileNamePrefix: cleanName,
-      folder: CONFIG.exportFolder,
-      region: CONFIG.aoi,
-      scale: CONFIG.exportScale,
-      crs: CONFIG.exportCRS,
-      maxPixels: CONFIG.maxPixels,
-      fileFormat: 'GeoTIFF',
-      formatOptions: {
-        cloudOptimized: true
-      }
-    });
+  /**
+   * Cloud-masked optical collection with blue carbon indices for a date range
+   */
+  function loadOptical(start, end) {
+    return (CONFIG.opticalSource === 'LANDSAT' ? loadLandsat(start, end) : loadSentinel2(start, end))
+      .map(addBlueCarboIndices);
   }
-  
-  print('✓ All QA layer export tasks created!');
-}
+
+  var optical = loadOptical(startDate, endDate);
+
+  // QA CHECK: Image availability
+  var opticalCount = optical.size().getInfo();
+  print('QA - Optical image count (' + CONFIG.opticalSource + '):', opticalCount);
+  if (CONFIG.opticalSource === 'S2') {
+    print('  Cloud mask strategy:', CONFIG.s2CloudMask);
+  }
+
+  if (opticalCount < CONFIG.minObservationsRequired) {
+    print('  ⚠️ WARNING: Low image count. Consider expanding date range or relaxing cloud threshold.');
+  }
+
+  if (CONFIG.opticalSource === 'S2' && CONFIG.yearStart < 2017) {
+    print('  ⚠️ WARNING: Sentinel-2 SR starts in 2017. Use opticalSource: \'LANDSAT\' for earlier baselines.');
+  }
+
+  var optical_growing = optical.filterDate(growingSeasonStart, growingSeasonEnd);
+
+  // Use size check without blocking
+  optical_growing.size().evaluate(function(count) {
+    print('QA - Optical growing season count:', count);
+    if (count === 0) {
+      print('  ⚠️ WARNING: No images in growing season. Using annual data for growing season metrics.');
+    }
+  });
+
+  // If growing season is empty, use annual data as substitute
+  optical_growing = ee.Algorithms.If(
+    optical_growing.size().gt(0),
+    optical_growing,
+    optical  // Fallback to annual if no growing season data
+  );
+  optical_growing = ee.ImageCollection(optical_growing);
+
+  /**
+   * Optical composite metrics (annual and growing season) for one period
+   */
+  function computeOpticalMetrics(optical, optical_growing) {
+    // Periods outside the sensor record (e.g. S2 epochs before 2017) have no
+    // scenes; a fully masked scene keeps every metric band, masked
+    var indexBands = ['NDVI', 'EVI', 'NDWI', 'MNDWI', 'FAI', 'WAVI', 'NDMI', 'SAVI', 'GCI']
+      .concat(opticalSource.hasRedEdge ? ['NDRE1', 'NDRE2', 'CI_RedEdge'] : []);
+    var noScenes = ee.ImageCollection([
+      ee.Image.constant(indexBands.map(function() { return 0; })).rename(indexBands).toFloat().updateMask(0)
+    ]);
+    optical = optical.merge(noScenes);
+    optical_growing = optical_growing.merge(noScenes);
+    
+    var opticalMetrics = ee.Image.cat([
+      // Annual NDVI
+      optical.select('NDVI').median().rename('NDVI_median_annual'),
+      optical.select('NDVI').mean().rename('NDVI_mean_annual'),
+      optical.select('NDVI').reduce(ee.Reducer.stdDev()).rename('NDVI_stddev_annual'),
+      optical.select('NDVI').min().rename('NDVI_min_annual'),
+      optical.select('NDVI').max().rename('NDVI_max_annual'),
+    
+      // Growing season NDVI
+      optical_growing.select('NDVI').median().rename('NDVI_median_growing'),
+      optical_growing.select('NDVI').mean().rename('NDVI_mean_growing'),
+    
+      // NDVI amplitude (phenology proxy)
+      optical.select('NDVI').max().subtract(optical.select('NDVI').min()).rename('NDVI_amplitude'),
+    
+      // Annual EVI
+      optical.select('EVI').median().rename('EVI_median_annual'),
+      optical.select('EVI').mean().rename('EVI_mean_annual'),
+      optical.select('EVI').reduce(ee.Reducer.stdDev()).rename('EVI_stddev_annual'),
+    
+      // Growing season EVI
+      optical_growing.select('EVI').median().rename('EVI_median_growing'),
+      optical_growing.select('EVI').mean().rename('EVI_mean_growing'),
+    
+      // NEW: Water indices (critical for coastal)
+      optical.select('NDWI').median().rename('NDWI_median_annual'),
+      optical.select('NDWI').mean().rename('NDWI_mean_annual'),
+      optical.select('NDWI').reduce(ee.Reducer.stdDev()).rename('NDWI_stddev_annual'),
+      optical_growing.select('NDWI').median().rename('NDWI_median_growing'),
+    
+      optical.select('MNDWI').median().rename('MNDWI_median_annual'),
+      optical.select('MNDWI').mean().rename('MNDWI_mean_annual'),
+      optical_growing.select('MNDWI').median().rename('MNDWI_median_growing'),
+    
+      // NEW: Floating Algae Index
+      optical.select('FAI').median().rename('FAI_median_annual'),
+      optical_growing.select('FAI').median().rename('FAI_median_growing'),
+    
+      // NEW: Water-Adjusted Vegetation Index (for submerged veg)
+      optical.select('WAVI').median().rename('WAVI_median_annual'),
+      optical_growing.select('WAVI').median().rename('WAVI_median_growing'),
+    
+      // Moisture indices
+      optical.select('NDMI').median().rename('NDMI_median_annual'),
+      optical_growing.select('NDMI').median().rename('NDMI_median_growing'),
+    
+      // SAVI (for sparse vegetation)
+      optical.select('SAVI').median().rename('SAVI_median_annual'),
+      optical_growing.select('SAVI').median().rename('SAVI_median_growing'),
+    
+      // GCI
+      optical.select('GCI').median().rename('GCI_median_annual'),
+      optical_growing.select('GCI').median().rename('GCI_median_growing'),
+    
+      // Phenology percentiles (growing season dynamics)
+      optical.select('NDVI').reduce(ee.Reducer.percentile([10, 25, 50, 75, 90]))
+        .rename(['NDVI_p10', 'NDVI_p25', 'NDVI_p50', 'NDVI_p75', 'NDVI_p90'])
+    ]);
+
+    // Red-edge metrics are only available from Sentinel-2
+    if (opticalSource.hasRedEdge) {
+      opticalMetrics = opticalMetrics.addBands([
+        // Red Edge indices (biomass proxy)
+        optical.select('NDRE1').median().rename('NDRE1_median_annual'),
+        optical.select('NDRE2').median().rename('NDRE2_median_annual'),
+        optical_growing.select('NDRE1').median().rename('NDRE1_median_growing'),
+        optical_growing.select('NDRE2').median().rename('NDRE2_median_growing'),
+      
+        // Chlorophyll indices
+        optical.select('CI_RedEdge').median().rename('CI_RedEdge_median_annual'),
+        optical_growing.select('CI_RedEdge').median().rename('CI_RedEdge_median_growing')
+      ]);
+    }
+
+    return opticalMetrics;
+  }
+
+  // Calculate comprehensive metrics
+  var opticalMetrics = computeOpticalMetrics(optical, optical_growing);
+  if (!opticalSource.hasRedEdge) {
+    print('  Note: Red-edge metrics (NDRE1, NDRE2, CI_RedEdge) skipped for ' + CONFIG.opticalSource);
+  }
+
+  // QA CHECK: Coastal index ranges
+  var ndwiStats = opticalMetrics.select('NDWI_median_annual').reduceRegion({
+    reducer: ee.Reducer.minMax().combine(ee.Reducer.mean(), '', true),
+    geometry: CONFIG.aoi,
+    scale: CONFIG.exportScale * 4,
+    maxPixels: 1e9,
+    bestEffort: true
+  });
+
+  print('QA - NDWI Statistics:', ndwiStats);
+  print('  → Positive NDWI indicates water presence');
+
+  // DEBUG: Print actual band names in opticalMetrics
+  opticalMetrics.bandNames().evaluate(function(bands) {
+    print('DEBUG - Optical metrics bands created:', bands.length);
+    print('DEBUG - Band names:', bands);
+  });
+
+  // Create coastal vegetation QA flags
+  var ndviQA = opticalMetrics.select('NDVI_median_annual')
+    .gte(CONFIG.minNDVI).and(opticalMetrics.select('NDVI_median_annual').lte(CONFIG.maxNDVI))
+    .rename('NDVI_valid_flag');
+
+  var ndwiQA = opticalMetrics.select('NDWI_median_annual')
+    .gte(CONFIG.minNDWI).and(opticalMetrics.select('NDWI_median_annual').lte(CONFIG.maxNDWI))
+    .rename('NDWI_valid_flag');
+
+  print('✓ Optical metrics processed:', opticalMetrics.bandNames().length().getInfo(), 'bands');
+
+  // ============================================================================
+  // SECTION 4B: HARMONIC PHENOLOGY (OPTIONAL)
+  // ============================================================================
+
+  /**
+   * Add harmonic regression predictors (constant, t, cos/sin per harmonic) to
+   * an image, with t in years so one cycle = one year
+   */
+  function addHarmonicTerms(image) {
+    var years = image.date().difference(ee.Date('1970-01-01'), 'year');
+    var terms = [ee.Image.constant(1).rename('constant'), ee.Image.constant(years).float().rename('t')];
+    for (var k = 1; k <= CONFIG.harmonicTerms; k++) {
+      var angle = ee.Image.constant(years.multiply(2 * Math.PI * k)).float();
+      terms.push(angle.cos().rename('cos' + k), angle.sin().rename('sin' + k));
+    }
+    return image.addBands(terms);
+  }
+
+  /**
+   * Fit per-pixel harmonic regression to one index and derive phenology bands:
+   * first-harmonic amplitude/phase, mean, start/peak/end of season DOY and RMSE
+   */
+  function harmonicPhenology(collection, index, start, end) {
+    var independents = ['constant', 't'];
+    for (var k = 1; k <= CONFIG.harmonicTerms; k++) {
+      independents.push('cos' + k, 'sin' + k);
+    }
+    
+    var fit = collection.select(independents.concat([index]))
+      .reduce(ee.Reducer.linearRegression(independents.length, 1));
+    var coefficients = fit.select('coefficients').arrayProject([0]).arrayFlatten([independents]);
+    var rmse = fit.select('residuals').arrayGet([0]).rename(index + '_harmonic_rmse');
+    
+    // Mean at the middle of the date range (removes the linear trend)
+    var midYears = start.advance(end.difference(start, 'day').divide(2), 'day')
+      .difference(ee.Date('1970-01-01'), 'year');
+    var mean = coefficients.select('constant')
+      .add(coefficients.select('t').multiply(midYears))
+      .rename(index + '_harmonic_mean');
+    
+    var amplitude = coefficients.select('cos1').hypot(coefficients.select('sin1'))
+      .rename(index + '_harmonic_amplitude');
+    var phase = coefficients.select('sin1').atan2(coefficients.select('cos1'))
+      .rename(index + '_harmonic_phase');
+    
+    // Evaluate the seasonal curve through one year (whole years drop out of cos/sin)
+    var steps = [];
+    for (var doy = 1; doy <= 365; doy += CONFIG.phenologyStep_days) {
+      steps.push(doy);
+    }
+    var curve = ee.Image.cat(steps.map(function(day) {
+      var fraction = day / 365.25;
+      var value = ee.Image.constant(0);
+      for (var h = 1; h <= CONFIG.harmonicTerms; h++) {
+        value = value
+          .add(coefficients.select('cos' + h).multiply(Math.cos(2 * Math.PI * h * fraction)))
+          .add(coefficients.select('sin' + h).multiply(Math.sin(2 * Math.PI * h * fraction)));
+      }
+      return value;
+    }));
+    
+    var n = steps.length;
+    var curveArray = curve.toArray();
+    var peakIdx = curveArray.arrayArgmax().arrayGet(0);
+    var troughIdx = curveArray.multiply(-1).arrayArgmax().arrayGet(0);
+    var curveMax = curve.reduce(ee.Reducer.max());
+    var curveMin = curve.reduce(ee.Reducer.min());
+    var threshold = curveMin.add(curveMax.subtract(curveMin).multiply(CONFIG.phenologySeasonThreshold));
+    
+    // Step indices counted from the trough, so seasons that span New Year work
+    var shifted = ee.Image.constant(steps.map(function(day, i) { return i; }))
+      .subtract(troughIdx).add(n).mod(n);
+    var peakShifted = peakIdx.subtract(troughIdx).add(n).mod(n);
+    var inSeason = curve.gte(threshold);
+    var sosShifted = shifted.updateMask(inSeason.and(shifted.lte(peakShifted))).reduce(ee.Reducer.min());
+    var eosShifted = shifted.updateMask(inSeason.and(shifted.gte(peakShifted))).reduce(ee.Reducer.max());
+    
+    var toDOY = function(shiftedIdx) {
+      return shiftedIdx.add(troughIdx).mod(n).multiply(CONFIG.phenologyStep_days).add(1);
+    };
+    
+    return ee.Image.cat([
+      amplitude,
+      phase,
+      mean,
+      toDOY(sosShifted).rename(index + '_SOS_doy'),
+      toDOY(peakShifted).rename(index + '_POS_doy'),
+      toDOY(eosShifted).rename(index + '_EOS_doy'),
+      rmse
+    ]).toFloat();
+  }
+
+  // The regression needs at least one scene per coefficient (constant, trend
+  // and a cos/sin pair per harmonic)
+  var harmonicCoefficientCount = 2 + 2 * CONFIG.harmonicTerms;
+
+  /**
+   * Harmonic phenology bands for every CONFIG.phenologyIndices index over one
+   * period; fully masked bands when there are too few scenes to fit
+   */
+  function computePhenology(optical, start, end) {
+    var names = [];
+    CONFIG.phenologyIndices.forEach(function(index) {
+      names.push(index + '_harmonic_amplitude', index + '_harmonic_phase', index + '_harmonic_mean',
+                 index + '_SOS_doy', index + '_POS_doy', index + '_EOS_doy', index + '_harmonic_rmse');
+    });
+    
+    var fit = function() {
+      var opticalHarmonic = optical.map(addHarmonicTerms);
+      return ee.Image.cat(CONFIG.phenologyIndices.map(function(index) {
+        return harmonicPhenology(opticalHarmonic, index, start, end);
+      }));
+    };
+    
+    return ee.Image(ee.Algorithms.If(
+      optical.size().gte(harmonicCoefficientCount),
+      fit(),
+      ee.Image.constant(names.map(function() { return 0; })).rename(names).toFloat().updateMask(0)
+    ));
+  }
+
+  if (startModule('phenology')) {
+    print('\n=== Processing Harmonic Phenology ===');
+    
+    if (opticalCount < harmonicCoefficientCount) {
+      MODULES.phenology.status = 'skipped';
+      moduleFallback('phenology', 'only ' + opticalCount + ' optical scenes for ' +
+                     harmonicCoefficientCount + ' harmonic coefficients, phenology skipped');
+    } else {
+      var phenologyMetrics = computePhenology(optical, startDate, endDate);
+      
+      print('✓ Phenology metrics processed:', phenologyMetrics.bandNames());
+    }
+  }
+
+  // ============================================================================
+  // SECTION 5: SENTINEL-1 SAR FEATURES (COASTAL ADAPTED)
+  // ============================================================================
+
+  print('\n=== Processing Sentinel-1 SAR (Coastal) ===');
+
+  var SAR_BANDS = ['VV', 'VH'];
+
+  function toLinear(db) {
+    return ee.Image(10).pow(db.divide(10));
+  }
+
+  function toDB(linear) {
+    return linear.log10().multiply(10);
+  }
+
+  /**
+   * Refined Lee speckle filter (Lee 1981, edge-aligned windows) for one band
+   * in linear power units
+   */
+  function refinedLee(img) {
+    var weights3 = ee.List.repeat(ee.List.repeat(1, 3), 3);
+    var kernel3 = ee.Kernel.fixed(3, 3, weights3, 1, 1, false);
+    var mean3 = img.reduceNeighborhood(ee.Reducer.mean(), kernel3);
+    var variance3 = img.reduceNeighborhood(ee.Reducer.variance(), kernel3);
+    
+    // Sample 3x3 means/variances at 9 positions of a 7x7 window to find edges
+    var sampleWeights = ee.List([
+      [0, 0, 0, 0, 0, 0, 0], [0, 1, 0, 1, 0, 1, 0], [0, 0, 0, 0, 0, 0, 0],
+      [0, 1, 0, 1, 0, 1, 0], [0, 0, 0, 0, 0, 0, 0], [0, 1, 0, 1, 0, 1, 0],
+      [0, 0, 0, 0, 0, 0, 0]
+    ]);
+    var sampleKernel = ee.Kernel.fixed(7, 7, sampleWeights, 3, 3, false);
+    var sampleMean = mean3.neighborhoodToBands(sampleKernel);
+    var sampleVar = variance3.neighborhoodToBands(sampleKernel);
+    
+    // Gradients in 4 directions; keep the strongest
+    var gradients = ee.Image.cat([
+      sampleMean.select(1).subtract(sampleMean.select(7)).abs(),
+      sampleMean.select(6).subtract(sampleMean.select(2)).abs(),
+      sampleMean.select(3).subtract(sampleMean.select(5)).abs(),
+      sampleMean.select(0).subtract(sampleMean.select(8)).abs()
+    ]);
+    var gradMask = gradients.eq(gradients.reduce(ee.Reducer.max()));
+    gradMask = gradMask.addBands(gradMask);
+    
+    // Which side of the edge the centre pixel is on (8 window orientations)
+    var directions = sampleMean.select(1).subtract(sampleMean.select(4))
+      .gt(sampleMean.select(4).subtract(sampleMean.select(7))).multiply(1);
+    directions = directions.addBands(sampleMean.select(6).subtract(sampleMean.select(4))
+      .gt(sampleMean.select(4).subtract(sampleMean.select(2))).multiply(2));
+    directions = directions.addBands(sampleMean.select(3).subtract(sampleMean.select(4))
+      .gt(sampleMean.select(4).subtract(sampleMean.select(5))).multiply(3));
+    directions = directions.addBands(sampleMean.select(0).subtract(sampleMean.select(4))
+      .gt(sampleMean.select(4).subtract(sampleMean.select(8))).multiply(4));
+    directions = directions.addBands(directions.select(0).not().multiply(5));
+    directions = directions.addBands(directions.select(1).not().multiply(6));
+    directions = directions.addBands(directions.select(2).not().multiply(7));
+    directions = directions.addBands(directions.select(3).not().multiply(8));
+    directions = directions.updateMask(gradMask).reduce(ee.Reducer.sum());
+    
+    // Noise variance from the 5 most homogeneous sample windows
+    var sampleStats = sampleVar.divide(sampleMean.multiply(sampleMean));
+    var sigmaV = sampleStats.toArray().arraySort().arraySlice(0, 0, 5)
+      .arrayReduce(ee.Reducer.mean(), [0]);
+    
+    // Directional (rectangular / diagonal) windows
+    var rectWeights = ee.List.repeat(ee.List.repeat(0, 7), 3)
+      .cat(ee.List.repeat(ee.List.repeat(1, 7), 4));
+    var diagWeights = ee.List([
+      [1, 0, 0, 0, 0, 0, 0], [1, 1, 0, 0, 0, 0, 0], [1, 1, 1, 0, 0, 0, 0],
+      [1, 1, 1, 1, 0, 0, 0], [1, 1, 1, 1, 1, 0, 0], [1, 1, 1, 1, 1, 1, 0],
+      [1, 1, 1, 1, 1, 1, 1]
+    ]);
+    var rectKernel = ee.Kernel.fixed(7, 7, rectWeights, 3, 3, false);
+    var diagKernel = ee.Kernel.fixed(7, 7, diagWeights, 3, 3, false);
+    
+    var dirMean = img.reduceNeighborhood(ee.Reducer.mean(), rectKernel).updateMask(directions.eq(1));
+    var dirVar = img.reduceNeighborhood(ee.Reducer.variance(), rectKernel).updateMask(directions.eq(1));
+    dirMean = dirMean.addBands(img.reduceNeighborhood(ee.Reducer.mean(), diagKernel).updateMask(directions.eq(2)));
+    dirVar = dirVar.addBands(img.reduceNeighborhood(ee.Reducer.variance(), diagKernel).updateMask(directions.eq(2)));
+    for (var i = 1; i < 4; i++) {
+      dirMean = dirMean.addBands(img.reduceNeighborhood(ee.Reducer.mean(), rectKernel.rotate(i))
+        .updateMask(directions.eq(2 * i + 1)));
+      dirVar = dirVar.addBands(img.reduceNeighborhood(ee.Reducer.variance(), rectKernel.rotate(i))
+        .updateMask(directions.eq(2 * i + 1)));
+      dirMean = dirMean.addBands(img.reduceNeighborhood(ee.Reducer.mean(), diagKernel.rotate(i))
+        .updateMask(directions.eq(2 * i + 2)));
+      dirVar = dirVar.addBands(img.reduceNeighborhood(ee.Reducer.variance(), diagKernel.rotate(i))
+        .updateMask(directions.eq(2 * i + 2)));
+    }
+    dirMean = dirMean.reduce(ee.Reducer.sum());
+    dirVar = dirVar.reduce(ee.Reducer.sum());
+    
+    // MMSE estimate within the selected window
+    var varX = dirVar.subtract(dirMean.multiply(dirMean).multiply(sigmaV)).divide(sigmaV.add(1.0));
+    var b = varX.divide(dirVar);
+    return dirMean.add(b.multiply(img.subtract(dirMean)))
+      .arrayProject([0])
+      .arrayFlatten([['sum']])
+      .rename(img.bandNames());
+  }
+
+  /**
+   * Improved Lee Sigma filter (Lee et al. 2009) for bands in linear power units.
+   * Strong point targets are preserved; other pixels get an MMSE estimate from
+   * neighbours inside the 90% sigma range of the a-priori mean.
+   */
+  function leeSigma(img, kernelSize) {
+    var bandNames = img.bandNames();
+    var enl = 4.4;  // Equivalent number of looks, S1 IW GRD high resolution
+    var oneImg = ee.Image.constant(1);
+    var reducers = ee.Reducer.mean().combine({reducer2: ee.Reducer.variance(), sharedInputs: true});
+    var meanBands = bandNames.map(function(b) { return ee.String(b).cat('_mean'); });
+    var varBands = bandNames.map(function(b) { return ee.String(b).cat('_variance'); });
+    
+    // Retain strong scatterers (>= 98th percentile, in a cluster of >= 7 of 9 pixels)
+    var z98 = img.reduceRegion({
+      reducer: ee.Reducer.percentile([98]),
+      geometry: CONFIG.aoi,
+      scale: 10,
+      maxPixels: 1e9,
+      bestEffort: true
+    }).toImage(bandNames);
+    var retainPixel = img.gte(z98)
+      .reduceNeighborhood(ee.Reducer.sum(), ee.Kernel.square(1))
+      .gte(7);
+    
+    // A-priori mean from a 3x3 MMSE
+    var eta = ee.Image.constant(1.0 / Math.sqrt(enl));
+    var stats = img.reduceNeighborhood({reducer: reducers, kernel: ee.Kernel.square(1), optimization: 'window'});
+    var zBar = stats.select(meanBands);
+    var varZ = stats.select(varBands);
+    var varX = varZ.subtract(zBar.pow(2).multiply(eta.pow(2))).divide(oneImg.add(eta.pow(2)));
+    var b = varX.divide(varZ);
+    var xTilde = oneImg.subtract(b).multiply(zBar).add(b.multiply(img));
+    
+    // Sigma range for sigma = 0.9 (Lee et al. 2009, 4-look intensity)
+    var i1 = xTilde.multiply(0.378);
+    var i2 = xTilde.multiply(2.094);
+    var nEta = ee.Image.constant(0.3991);
+    
+    var z = img.updateMask(img.gte(i1).and(img.lte(i2)));
+    stats = z.reduceNeighborhood({
+      reducer: reducers,
+      kernel: ee.Kernel.square(Math.floor(kernelSize / 2)),
+      optimization: 'window'
+    });
+    zBar = stats.select(meanBands);
+    varZ = stats.select(varBands);
+    varX = varZ.subtract(zBar.pow(2).multiply(nEta.pow(2))).divide(oneImg.add(nEta.pow(2)));
+    b = varX.divide(varZ).max(0);
+    var xHat = oneImg.subtract(b).multiply(zBar).add(b.multiply(img));
+    
+    return img.updateMask(retainPixel).unmask(xHat).rename(bandNames);
+  }
+
+  /**
+   * Quegan & Yu (2001) multitemporal filter: the spatially filtered image times
+   * the mean ratio of each same-track image to its own spatial mean
+   */
+  function queganFilter(collection, kernelSize) {
+    var radius = Math.floor(kernelSize / 2);
+    var spatialMean = function(img) {
+      return img.select(SAR_BANDS).reduceNeighborhood(ee.Reducer.mean(), ee.Kernel.square(radius))
+        .rename(SAR_BANDS);
+    };
+    
+    return collection.map(function(image) {
+      var date = image.date();
+      var track = collection
+        .filter(ee.Filter.eq('relativeOrbitNumber_start', image.get('relativeOrbitNumber_start')))
+        .filterDate(date.advance(-CONFIG.sarQueganWindow_days, 'day'),
+                    date.advance(CONFIG.sarQueganWindow_days, 'day'));
+      var ratioMean = track.map(function(img) {
+        return img.select(SAR_BANDS).divide(spatialMean(img));
+      }).mean();
+      return image.addBands(spatialMean(image).multiply(ratioMean).rename(SAR_BANDS), null, true);
+    });
+  }
+
+  /**
+   * Incidence-angle normalization and sigma0 -> gamma0 for linear VV/VH
+   */
+  function normalizeBackscatter(image) {
+    var theta = image.select('angle').multiply(Math.PI / 180);
+    var cosRef = Math.cos(CONFIG.sarReferenceAngle * Math.PI / 180);
+    var linear = image.select(SAR_BANDS);
+    var effectiveCos = theta.cos();
+    
+    if (CONFIG.sarAngleNormalization) {
+      linear = linear.multiply(ee.Image.constant(cosRef).divide(theta.cos())
+        .pow(CONFIG.sarAngleNormExponent));
+      effectiveCos = ee.Image.constant(cosRef);
+    }
+    if (CONFIG.sarBackscatter === 'GAMMA0') {
+      linear = linear.divide(effectiveCos);
+    }
+    return image.addBands(linear.rename(SAR_BANDS), null, true);
+  }
+
+  /**
+   * Speckle-filtered, normalized Sentinel-1 IW VV+VH collection (dB) for a
+   * date range, both orbit directions
+   */
+  function loadSentinel1(start, end) {
+    var s1Raw = ee.ImageCollection('COPERNICUS/S1_GRD')
+      .filterBounds(CONFIG.aoi)
+      .filterDate(start, end)
+      .filter(ee.Filter.listContains('transmitterReceiverPolarisation', 'VV'))
+      .filter(ee.Filter.listContains('transmitterReceiverPolarisation', 'VH'))
+      .filter(ee.Filter.eq('instrumentMode', 'IW'))
+      .map(function(img) {
+        return img.addBands(toLinear(img.select(SAR_BANDS)), null, true);
+      });
+
+    // Speckle filtering in linear units
+    var s1Filtered;
+    if (CONFIG.sarSpeckleFilter === 'FOCAL_MEDIAN') {
+      s1Filtered = s1Raw.map(function(img) {
+        return img.addBands(img.select(SAR_BANDS)
+          .focal_median(CONFIG.s1SpeckleFilterSize, 'square', 'pixels'), null, true);
+      });
+    } else if (CONFIG.sarSpeckleFilter === 'REFINED_LEE') {
+      s1Filtered = s1Raw.map(function(img) {
+        return img.addBands(ee.Image.cat(SAR_BANDS.map(function(band) {
+          return refinedLee(img.select(band));
+        })), null, true);
+      });
+    } else if (CONFIG.sarSpeckleFilter === 'LEE_SIGMA') {
+      s1Filtered = s1Raw.map(function(img) {
+        return img.addBands(leeSigma(img.select(SAR_BANDS), CONFIG.s1SpeckleFilterSize), null, true);
+      });
+    } else if (CONFIG.sarSpeckleFilter === 'QUEGAN') {
+      s1Filtered = queganFilter(s1Raw, CONFIG.s1SpeckleFilterSize);
+    } else {
+      throw new Error('Unknown CONFIG.sarSpeckleFilter: ' + CONFIG.sarSpeckleFilter);
+    }
+
+    // Angle normalization / gamma0, then back to dB
+    return s1Filtered.map(function(img) {
+      var normalized = normalizeBackscatter(img);
+      return normalized.addBands(toDB(normalized.select(SAR_BANDS)), null, true);
+    });
+  }
+
+  var s1All = loadSentinel1(startDate, endDate);
+
+  var s1Ascending = s1All.filter(ee.Filter.eq('orbitProperties_pass', 'ASCENDING'));
+  var s1Descending = s1All.filter(ee.Filter.eq('orbitProperties_pass', 'DESCENDING'));
+
+  // Collection feeding the legacy VV_*/VH_* bands
+  var s1 = CONFIG.sarLegacyOrbit === 'ASCENDING' ? s1Ascending :
+           CONFIG.sarLegacyOrbit === 'DESCENDING' ? s1Descending :
+           s1All;
+
+  print('QA - Sentinel-1 image count:', s1.size().getInfo());
+  print('  Ascending:', s1Ascending.size(), ' Descending:', s1Descending.size());
+  print('  Speckle filter:', CONFIG.sarSpeckleFilter, '| Backscatter:', CONFIG.sarBackscatter,
+        CONFIG.sarAngleNormalization ? '(normalized to ' + CONFIG.sarReferenceAngle + '°)' : '');
+
+  if (CONFIG.yearEnd < 2015) {
+    print('  ⚠️ WARNING: Sentinel-1 starts in October 2014. SAR features will be empty for this date range.');
+  }
+
+  /**
+   * SAR composite metrics from the legacy-orbit collection plus optional
+   * per-orbit composites
+   */
+  function computeSarMetrics(s1, s1Ascending, s1Descending) {
+    // No scenes before Sentinel-1 (October 2014): keep the bands, fully masked
+    var noScenes = ee.ImageCollection([ee.Image.constant([0, 0]).rename(['VV', 'VH']).toFloat().updateMask(0)]);
+    s1 = s1.merge(noScenes);
+    
+    var sarFeatures = ee.Image.cat([
+      // VV polarization (sensitive to surface roughness/flooding)
+      s1.select('VV').median().rename('VV_median'),
+      s1.select('VV').mean().rename('VV_mean'),
+      s1.select('VV').reduce(ee.Reducer.stdDev()).rename('VV_stddev'),
+    
+      // VH polarization (sensitive to vegetation structure)
+      s1.select('VH').median().rename('VH_median'),
+      s1.select('VH').mean().rename('VH_mean'),
+      s1.select('VH').reduce(ee.Reducer.stdDev()).rename('VH_stddev'),
+    
+      // VV/VH ratio (vegetation biomass proxy)
+      s1.select('VV').median().subtract(s1.select('VH').median()).rename('VV_VH_ratio'),
+    
+      // Temporal variability (important for tidal dynamics)
+      s1.select('VV').reduce(ee.Reducer.percentile([10, 90]))
+        .rename(['VV_p10', 'VV_p90'])
+    ]);
+
+    // Per-orbit-direction composites (look geometry kept separate)
+    if (CONFIG.sarOrbitComposites) {
+      var orbitComposite = function(collection, suffix) {
+        var names = ['VV_median_', 'VH_median_', 'VV_stddev_', 'VH_stddev_'].map(function(name) {
+          return name + suffix;
+        });
+        var composite = ee.Image.cat([
+          collection.select('VV').median(),
+          collection.select('VH').median(),
+          collection.select('VV').reduce(ee.Reducer.stdDev()),
+          collection.select('VH').reduce(ee.Reducer.stdDev())
+        ]).rename(names);
+      
+        // Many sites are only imaged in one pass direction: emit masked bands
+        // so the band set stays the same
+        return ee.Image(ee.Algorithms.If(
+          collection.size().gt(0),
+          composite,
+          ee.Image.constant([0, 0, 0, 0]).rename(names).updateMask(0)
+        ));
+      };
+    
+      sarFeatures = sarFeatures.addBands([
+        orbitComposite(s1Ascending, 'asc'),
+        orbitComposite(s1Descending, 'desc')
+      ]);
+    }
+
+    return sarFeatures;
+  }
+
+  // Calculate SAR metrics
+  var sarFeatures = computeSarMetrics(s1, s1Ascending, s1Descending);
+
+  // SAR QA flags
+  var vvQA = sarFeatures.select('VV_median')
+    .gte(CONFIG.minVV).and(sarFeatures.select('VV_median').lte(CONFIG.maxVV))
+    .rename('VV_valid_flag');
+
+  var vhQA = sarFeatures.select('VH_median')
+    .gte(CONFIG.minVH).and(sarFeatures.select('VH_median').lte(CONFIG.maxVH))
+    .rename('VH_valid_flag');
+
+  print('✓ SAR features processed:', sarFeatures.bandNames());
+
+  /**
+   * Dual-pol radar indices (RVI, VH/VV, cross-ratio statistics) for one period
+   */
+  function computeRadarIndices(s1) {
+    // No scenes before Sentinel-1 (October 2014): keep the bands, fully masked
+    s1 = s1.merge(ee.ImageCollection([ee.Image.constant([0, 0]).rename(['VV', 'VH']).toFloat().updateMask(0)]));
+    
+    // Per-scene indices in linear units
+    var s1Indices = s1.map(function(img) {
+      var vv = toLinear(img.select('VV'));
+      var vh = toLinear(img.select('VH'));
+      return ee.Image.cat([
+        vh.multiply(4).divide(vv.add(vh)).rename('RVI'),   // Dual-pol Radar Vegetation Index
+        vh.divide(vv).rename('VH_VV_linear'),
+        img.select('VH').subtract(img.select('VV')).rename('CR_dB')  // Cross-ratio
+      ]).copyProperties(img, ['system:time_start']);
+    });
+    
+    var crPercentiles = s1Indices.select('CR_dB').reduce(ee.Reducer.percentile([10, 90]))
+      .rename(['CR_p10', 'CR_p90']);
+    
+    return ee.Image.cat([
+      s1Indices.select('RVI').median().rename('RVI_median'),
+      s1Indices.select('RVI').mean().rename('RVI_mean'),
+      s1Indices.select('VH_VV_linear').median().rename('VH_VV_linear_ratio_median'),
+      
+      // Cross-ratio temporal statistics (flooding / phenology dynamics)
+      s1Indices.select('CR_dB').mean().rename('CR_mean'),
+      s1Indices.select('CR_dB').reduce(ee.Reducer.stdDev()).rename('CR_stddev'),
+      crPercentiles,
+      crPercentiles.select('CR_p90').subtract(crPercentiles.select('CR_p10')).rename('CR_range_p10_p90')
+    ]);
+  }
+
+  if (startModule('radar')) {
+    var radarIndices = computeRadarIndices(s1);
+    
+    print('✓ Radar indices processed:', radarIndices.bandNames());
+  }
+
+  // ============================================================================
+  // SECTION 5A: SEASONAL COMPOSITES (OPTIONAL)
+  // ============================================================================
+
+  /**
+   * Median composite renamed to `names`, or fully masked bands with the same
+   * names when the collection is empty (e.g. no winter optical scenes up north)
+   */
+  function medianOrMasked(collection, bands, names) {
+    return ee.Image(ee.Algorithms.If(
+      collection.size().gt(0),
+      collection.select(bands).median().rename(names),
+      ee.Image.constant(bands.map(function() { return 0; })).rename(names).updateMask(0)
+    ));
+  }
+
+  /**
+   * Per-season optical index and SAR medians for one period, plus the
+   * [optical, SAR] scene count of each season
+   */
+  function computeSeasonalMetrics(optical, s1) {
+    var seasonalIndices = CONFIG.seasonalIndices;
+    var seasonalSceneCounts = {};
+    var seasonalComposites = Object.keys(CONFIG.seasons).map(function(season) {
+      var months = CONFIG.seasons[season];
+      // calendarRange wraps when start > end (e.g. winter [12, 2])
+      var monthFilter = ee.Filter.calendarRange(months[0], months[1], 'month');
+      var suffix = function(band) { return band + '_median_' + season; };
+      var seasonOptical = optical.filter(monthFilter);
+      var seasonSar = s1.filter(monthFilter);
+      seasonalSceneCounts[season] = [seasonOptical.size(), seasonSar.size()];
+      
+      return ee.Image.cat([
+        medianOrMasked(seasonOptical, seasonalIndices, seasonalIndices.map(suffix)),
+        medianOrMasked(seasonSar, CONFIG.seasonalSarBands, CONFIG.seasonalSarBands.map(suffix))
+      ]);
+    });
+    
+    return {metrics: ee.Image.cat(seasonalComposites), sceneCounts: ee.Dictionary(seasonalSceneCounts)};
+  }
+
+  if (startModule('seasonal')) {
+    print('\n=== Processing Seasonal Composites ===');
+    
+    var seasonal = computeSeasonalMetrics(optical, s1);
+    var seasonalMetrics = seasonal.metrics;
+    
+    // QA CHECK: Seasons without scenes export fully masked bands
+    var seasonalCounts = seasonal.sceneCounts.getInfo();
+    Object.keys(CONFIG.seasons).forEach(function(season) {
+      if (seasonalCounts[season][0] === 0) {
+        moduleFallback('seasonal', 'no optical scenes in ' + season + ', its optical bands are fully masked');
+      }
+      if (seasonalCounts[season][1] === 0) {
+        moduleFallback('seasonal', 'no SAR scenes in ' + season + ', its SAR bands are fully masked');
+      }
+    });
+    
+    print('✓ Seasonal composites processed:', seasonalMetrics.bandNames());
+  }
+
+  // ============================================================================
+  // SECTION 5B: TIDE-STRATIFIED COMPOSITES (OPTIONAL)
+  // ============================================================================
+
+  if (startModule('tide')) {
+    print('\n=== Processing Tide-Stratified Composites ===');
+    
+    var tideTable = ee.FeatureCollection(CONFIG.tideTableAsset)
+      .filter(ee.Filter.notNull([CONFIG.tideTimeField, CONFIG.tideLevelField]))
+      .map(function(f) {
+        return f.set('tide_millis', ee.Date(f.get(CONFIG.tideTimeField)).millis());
+      });
+    
+    var tideGapMillis = CONFIG.tideMaxGap_hours * 3600 * 1000;
+    
+    /**
+     * Tag an image with the tide height linearly interpolated between the gauge
+     * readings either side of its acquisition time. Images without a reading on
+     * both sides within tideMaxGap_hours are left untagged.
+     */
+    var tagTideHeight = function(image) {
+      var t = ee.Number(image.get('system:time_start'));
+      var nearby = tideTable.filter(
+        ee.Filter.rangeContains('tide_millis', t.subtract(tideGapMillis), t.add(tideGapMillis)));
+      var before = nearby.filter(ee.Filter.lte('tide_millis', t)).sort('tide_millis', false);
+      var after = nearby.filter(ee.Filter.gt('tide_millis', t)).sort('tide_millis');
+      
+      var interpolate = function() {
+        var b = ee.Feature(before.first());
+        var a = ee.Feature(after.first());
+        var tb = ee.Number(b.get('tide_millis'));
+        var ta = ee.Number(a.get('tide_millis'));
+        var hb = ee.Number(b.get(CONFIG.tideLevelField));
+        var ha = ee.Number(a.get(CONFIG.tideLevelField));
+        var weight = t.subtract(tb).divide(ta.subtract(tb));
+        return hb.add(ha.subtract(hb).multiply(weight));
+      };
+      
+      return ee.Image(ee.Algorithms.If(
+        before.size().gt(0).and(after.size().gt(0)),
+        image.set('tide_height_m', interpolate()),
+        image
+      ));
+    };
+    
+    var opticalTide = optical.map(tagTideHeight)
+      .filter(ee.Filter.notNull(['tide_height_m']));
+    var s1Tide = s1.map(tagTideHeight)
+      .filter(ee.Filter.notNull(['tide_height_m']));
+    
+    var lowTideFilter = ee.Filter.lte('tide_height_m', CONFIG.lowTideMaxLevel);
+    var highTideFilter = ee.Filter.gte('tide_height_m', CONFIG.highTideMinLevel);
+    
+    var opticalLowTide = opticalTide.filter(lowTideFilter);
+    var opticalHighTide = opticalTide.filter(highTideFilter);
+    var s1LowTide = s1Tide.filter(lowTideFilter);
+    var s1HighTide = s1Tide.filter(highTideFilter);
+    
+    // QA CHECK: How many scenes fall in each tide class
+    print('QA - Optical scenes with tide height:', opticalTide.size());
+    print('  Low tide (≤' + CONFIG.lowTideMaxLevel + ' m):', opticalLowTide.size());
+    print('  High tide (≥' + CONFIG.highTideMinLevel + ' m):', opticalHighTide.size());
+    print('QA - SAR scenes with tide height:', s1Tide.size());
+    print('  Low tide:', s1LowTide.size(), ' High tide:', s1HighTide.size());
+    var opticalTideHeights = ee.FeatureCollection(opticalTide.map(function(image) {
+      return ee.Feature(null, {tide_height_m: image.get('tide_height_m')});
+    }));
+    print(ui.Chart.feature.histogram(opticalTideHeights, 'tide_height_m', 20)
+      .setOptions({title: 'Optical acquisition tide heights (m)'}));
+    
+    // Every optical index plus SAR backscatter, composited separately per tide class
+    var tideIndexBands = ['NDVI', 'EVI', 'NDWI', 'MNDWI', 'FAI', 'WAVI', 'NDMI', 'SAVI', 'GCI'];
+    if (opticalSource.hasRedEdge) {
+      tideIndexBands = tideIndexBands.concat(['NDRE1', 'NDRE2', 'CI_RedEdge']);
+    }
+    
+    // A tide class can be empty (no scene in the band, or the tide table does
+    // not cover the period); empty classes give masked bands with the same names
+    var tideComposite = function(collection, bands, suffix) {
+      return medianOrMasked(collection, bands, bands.map(function(b) { return b + '_median_' + suffix; }));
+    };
+    
+    var tideCount = function(collection, band, name) {
+      return ee.Image(ee.Algorithms.If(
+        collection.size().gt(0),
+        collection.select(band).count().rename(name),
+        ee.Image.constant(0).rename(name).updateMask(0)
+      ));
+    };
+    
+    var tideMetrics = ee.Image.cat([
+      tideComposite(opticalLowTide, tideIndexBands, 'lowtide'),
+      tideComposite(opticalHighTide, tideIndexBands, 'hightide'),
+      tideComposite(s1LowTide, ['VV', 'VH'], 'lowtide'),
+      tideComposite(s1HighTide, ['VV', 'VH'], 'hightide')
+    ]);
+    
+    var tideObservationCounts = ee.Image.cat([
+      tideCount(opticalLowTide, 'NDVI', 'optical_lowtide_count'),
+      tideCount(opticalHighTide, 'NDVI', 'optical_hightide_count'),
+      tideCount(s1LowTide, 'VV', 'SAR_lowtide_count'),
+      tideCount(s1HighTide, 'VV', 'SAR_hightide_count')
+    ]);
+    
+    print('✓ Tide-stratified composites processed:', tideMetrics.bandNames());
+  }
+
+  // ============================================================================
+  // SECTION 5C: GLCM TEXTURE (OPTIONAL)
+  // ============================================================================
+
+  // GLCM metrics kept, keyed by glcmTexture() suffix
+  var GLCM_METRICS = {
+    contrast: 'contrast',
+    ent: 'entropy',
+    idm: 'homogeneity',
+    corr: 'correlation',
+    var: 'variance'
+  };
+
+  /**
+   * GLCM texture of a single band quantized to 0-255 over [min, max]
+   */
+  function glcmFeatures(image, min, max, prefix) {
+    var quantized = image.unitScale(min, max).clamp(0, 1).multiply(255).toInt32().rename('q');
+    // size is the neighborhood radius; the default kernel sets the offsets
+    var glcm = quantized.glcmTexture({size: Math.floor(CONFIG.textureWindowSize / 2)});
+    var suffixes = Object.keys(GLCM_METRICS);
+    return glcm.select(suffixes.map(function(suffix) { return 'q_' + suffix; }))
+      .rename(suffixes.map(function(suffix) { return prefix + '_glcm_' + GLCM_METRICS[suffix]; }));
+  }
+
+  /**
+   * GLCM texture of growing-season NIR (marsh patchiness, ponding) and VH
+   * (canopy structure) for one period
+   */
+  function computeTexture(optical_growing, sarFeatures) {
+    return ee.Image.cat([
+      glcmFeatures(medianOrMasked(optical_growing, ['B8'], ['B8']), 0, 0.6, 'NIR'),
+      glcmFeatures(sarFeatures.select('VH_median'), CONFIG.minVH, CONFIG.maxVH, 'VH')
+    ]).toFloat();
+  }
+
+  if (startModule('texture')) {
+    print('\n=== Processing GLCM Texture (' + CONFIG.textureWindowSize + 'x' +
+          CONFIG.textureWindowSize + ' window) ===');
+    
+    var textureFeatures = computeTexture(optical_growing, sarFeatures);
+    
+    print('✓ Texture features processed:', textureFeatures.bandNames());
+  }
+
+  // ============================================================================
+  // SECTION 5D: DYNAMIC INUNDATION FREQUENCY (OPTIONAL)
+  // ============================================================================
+
+  /**
+   * Otsu threshold from a histogram dictionary (ee.Reducer.histogram output):
+   * the bucket mean maximizing between-class variance
+   */
+  function otsuThreshold(histogram) {
+    var counts = ee.Array(ee.Dictionary(histogram).get('histogram'));
+    var means = ee.Array(ee.Dictionary(histogram).get('bucketMeans'));
+    var size = means.length().get([0]);
+    var total = counts.reduce(ee.Reducer.sum(), [0]).get([0]);
+    var sum = means.multiply(counts).reduce(ee.Reducer.sum(), [0]).get([0]);
+    var mean = sum.divide(total);
+    
+    var betweenVariance = ee.List.sequence(1, size.subtract(1)).map(function(i) {
+      var aCounts = counts.slice(0, 0, i);
+      var aCount = aCounts.reduce(ee.Reducer.sum(), [0]).get([0]);
+      var aMean = means.slice(0, 0, i).multiply(aCounts)
+        .reduce(ee.Reducer.sum(), [0]).get([0]).divide(aCount);
+      var bCount = total.subtract(aCount);
+      var bMean = sum.subtract(aCount.multiply(aMean)).divide(bCount);
+      return aCount.multiply(aMean.subtract(mean).pow(2))
+        .add(bCount.multiply(bMean.subtract(mean).pow(2)));
+    });
+    
+    return ee.Number(means.slice(0, 0, size.subtract(1)).sort(ee.Array(betweenVariance)).get([-1]));
+  }
+
+  /**
+   * Water flag for one optical scene (masked where the scene has no data)
+   */
+  function opticalWater(image) {
+    var mndwiThreshold = ee.Number(CONFIG.waterMNDWIThreshold);
+    if (CONFIG.waterOtsu) {
+      var histogram = image.select('MNDWI').reduceRegion({
+        reducer: ee.Reducer.histogram(100),
+        geometry: CONFIG.aoi,
+        scale: CONFIG.exportScale * CONFIG.qaStatsScaleMultiplier,
+        maxPixels: 1e9,
+        bestEffort: true
+      }).get('MNDWI');
+      mndwiThreshold = ee.Number(ee.Algorithms.If(histogram, otsuThreshold(histogram), mndwiThreshold))
+        .max(CONFIG.waterOtsuRange[0]).min(CONFIG.waterOtsuRange[1]);
+    }
+    return image.select('MNDWI').gt(mndwiThreshold)
+      .or(image.select('NDWI').gt(CONFIG.waterNDWIThreshold))
+      .rename('water');
+  }
+
+  /**
+   * Fused optical + SAR inundation frequency for one period. Returns the
+   * covariate bands and the per-sensor valid-observation counts.
+   */
+  function computeInundation(optical, s1All, ndviGrowing) {
+    // A fully masked placeholder keeps the band when a sensor has no scenes
+    // (e.g. Sentinel-1 before 2015)
+    var noScenes = ee.ImageCollection([ee.Image.constant(0).rename('water').updateMask(0)]);
+    
+    // Optical: open water by index threshold
+    var opticalWaterFlags = optical.map(opticalWater).merge(noScenes);
+    
+    // SAR: open water (specular, low VV) or flooded vegetation (double-bounce
+    // raises VV above the pixel's usual level under emergent canopy)
+    var vvMedianAll = s1All.select('VV').median();
+    var vegetated = ndviGrowing.gte(CONFIG.floodedVegNdviMin);
+    var sarWaterFlags = s1All.map(function(img) {
+      var vv = img.select('VV');
+      var openWater = vv.lt(CONFIG.s1WaterVV_dB);
+      var floodedVegetation = vv.subtract(vvMedianAll).gte(CONFIG.s1DoubleBounceDelta_dB).and(vegetated);
+      return openWater.or(floodedVegetation).rename('water');
+    }).merge(noScenes);
+    
+    var opticalWaterCount = opticalWaterFlags.sum().unmask(0);
+    var opticalValidCount = opticalWaterFlags.count().unmask(0);
+    var sarWaterCount = sarWaterFlags.sum().unmask(0);
+    var sarValidCount = sarWaterFlags.count().unmask(0);
+    var totalValid = opticalValidCount.add(sarValidCount);
+    
+    var inundationFrequency = opticalWaterCount.add(sarWaterCount)
+      .divide(totalValid)
+      .multiply(100)
+      .updateMask(totalValid.gt(0))
+      .clip(CONFIG.aoi)
+      .rename('inundation_frequency_pct');
+    
+    var inundationDaysDynamic = inundationFrequency.multiply(3.65)
+      .rename('inundation_days_per_year_dynamic');
+    
+    // Same class breaks as tidal_zone_proxy, from the observed frequency
+    var tidalZoneDynamic = ee.Image(0)
+      .where(inundationFrequency.gte(90), 5)  // Open water
+      .where(inundationFrequency.gte(75).and(inundationFrequency.lt(90)), 4)  // Subtidal
+      .where(inundationFrequency.gte(50).and(inundationFrequency.lt(75)), 3)  // Low intertidal
+      .where(inundationFrequency.gte(25).and(inundationFrequency.lt(50)), 2)  // Mid intertidal
+      .where(inundationFrequency.gt(0).and(inundationFrequency.lt(25)), 1)    // High intertidal
+      .updateMask(inundationFrequency.mask())
+      .rename('tidal_zone_dynamic');
+    
+    return {
+      metrics: ee.Image.cat([
+        inundationFrequency,
+        inundationDaysDynamic,
+        tidalZoneDynamic
+      ]),
+      // Per-sensor valid observations (QA layers)
+      counts: ee.Image.cat([
+        opticalValidCount.rename('inundation_optical_valid_count'),
+        sarValidCount.rename('inundation_S1_valid_count')
+      ]).clip(CONFIG.aoi)
+    };
+  }
+
+  if (startModule('inundation')) {
+    print('\n=== Processing Dynamic Inundation Frequency ===');
+    
+    var inundation = computeInundation(optical, s1All, opticalMetrics.select('NDVI_median_growing'));
+    var inundationMetrics = inundation.metrics;
+    var inundationObservationCounts = inundation.counts;
+    
+    print('  Optical water:', CONFIG.waterOtsu ? 'per-scene Otsu on MNDWI' :
+          'MNDWI > ' + CONFIG.waterMNDWIThreshold, 'or NDWI >', CONFIG.waterNDWIThreshold);
+    print('  S1 water: VV <', CONFIG.s1WaterVV_dB, 'dB, or VV +' + CONFIG.s1DoubleBounceDelta_dB,
+          'dB over median where NDVI ≥', CONFIG.floodedVegNdviMin);
+    print('✓ Dynamic inundation processed:', inundationMetrics.bandNames());
+  }
+
+  // ============================================================================
+  // SECTION 6: HYDROLOGICAL CONNECTIVITY (BLUE CARBON SPECIFIC)
+  // ============================================================================
+
+  // D8 neighbours as [row, col] offsets in ESRI / MERIT Hydro code order:
+  // E, SE, S, SW, W, NW, N, NE -> codes 1, 2, 4, 8, 16, 32, 64, 128
+  var D8_OFFSETS = [[0, 1], [1, 1], [1, 0], [1, -1], [0, -1], [-1, -1], [-1, 0], [-1, 1]];
+
+  /**
+   * Value of the D8 neighbour with index i at every pixel
+   */
+  function d8Neighbour(image, i) {
+    var weights = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+    weights[1 + D8_OFFSETS[i][0]][1 + D8_OFFSETS[i][1]] = 1;
+    return image.convolve(ee.Kernel.fixed(3, 3, weights, -1, -1, false));
+  }
+
+  /**
+   * Fill depressions (Planchon & Darboux 2001) so every cell drains to an outlet.
+   * Outlets keep their elevation; all other cells start high and are lowered
+   * to max(elevation, lowest neighbour + epsilon) on each pass. Each pass
+   * reaches one cell further from an outlet, so cells more than
+   * d8FillIterations cells away are never lowered and come back masked.
+   */
+  function fillDepressions(dem, outlets, projection) {
+    var filled = dem.add(1000).where(outlets, dem);
+    for (var i = 0; i < CONFIG.d8FillIterations; i++) {
+      filled = filled.min(
+        dem.max(filled.focalMin(1, 'square', 'pixels').add(CONFIG.d8FillEpsilon))
+      ).where(outlets, dem).reproject(projection);
+    }
+    return filled.updateMask(filled.lte(dem.add(500)));
+  }
+
+  /**
+   * D8 flow direction index (0-7 into D8_OFFSETS, -1 = no downslope neighbour)
+   * from a depression-filled DEM
+   */
+  function d8DirectionIndex(filled) {
+    var drops = ee.Image.cat(D8_OFFSETS.map(function(offset, i) {
+      var distance = (offset[0] !== 0 && offset[1] !== 0) ? Math.SQRT2 : 1;
+      return filled.subtract(d8Neighbour(filled, i)).divide(distance).unmask(-9999);
+    }));
+    var steepest = drops.reduce(ee.Reducer.max());
+    var index = drops.toArray().arrayArgmax().arrayGet(0);
+    return index.where(steepest.lte(0), -1).updateMask(filled.mask());
+  }
+
+  /**
+   * D8 flow accumulation in cells: each pass adds the accumulation of every
+   * neighbour that drains into the cell, so paths up to d8AccumulationIterations
+   * cells long are routed exactly.
+   */
+  function d8Accumulation(directionIndex, projection) {
+    var inflow = D8_OFFSETS.map(function(offset, i) {
+      return d8Neighbour(directionIndex, i).eq((i + 4) % 8).unmask(0);
+    });
+    
+    var accumulation = ee.Image(1).updateMask(directionIndex.mask());
+    for (var iter = 0; iter < CONFIG.d8AccumulationIterations; iter++) {
+      var next = ee.Image(1);
+      for (var i = 0; i < 8; i++) {
+        next = next.add(d8Neighbour(accumulation.unmask(0), i).multiply(inflow[i]));
+      }
+      accumulation = next.updateMask(directionIndex.mask()).reproject(projection);
+    }
+    return accumulation;
+  }
+
+  if (startModule('connectivity')) {
+    print('\n=== Processing Hydrological Connectivity ===');
+    
+    var d8Projection = ee.Projection(CONFIG.processingCRS).atScale(CONFIG.d8Scale);
+    
+    // Outlets: MSL (0 m in the DEM datum without an MSL tidal datum) and
+    // below, plus the AOI boundary
+    var aoiMask = ee.Image(1).clip(CONFIG.aoi);
+    var aoiEdge = aoiMask.unmask(0).focalMin(1, 'square', 'pixels').eq(0).and(aoiMask);
+    var outletLevel = tidalDatumNames.indexOf('MSL') !== -1 ? tidalDatums.select('MSL') : ee.Image(0);
+    var d8Outlets = elevation.lte(outletLevel).or(aoiEdge.unmask(0));
+    
+    // Depression-filled DEM and D8 flow direction
+    var filledDEM = fillDepressions(elevation, d8Outlets, d8Projection);
+    
+    // QA CHECK: Cells the fill never reached are masked out of the D8 bands
+    var unfilledCells = ee.Number(elevation.mask().and(filledDEM.mask().not()).selfMask()
+      .reduceRegion({
+        reducer: ee.Reducer.count(),
+        geometry: CONFIG.aoi,
+        scale: CONFIG.d8Scale,
+        maxPixels: 1e9,
+        bestEffort: true
+      }).values().get(0)).getInfo();
+    if (unfilledCells > 0) {
+      moduleFallback('connectivity', unfilledCells + ' cells lie more than d8FillIterations (' +
+                     CONFIG.d8FillIterations + ') cells from an outlet and are masked; ' +
+                     'raise d8FillIterations or d8Scale');
+    }
+    var d8Index = d8DirectionIndex(filledDEM);
+    var flowDirection = ee.Image(2).pow(d8Index).where(d8Index.lt(0), 0)
+      .toByte()
+      .rename('flow_direction_d8');
+    
+    var fillDepth = filledDEM.subtract(elevation).rename('depression_depth_m');
+    
+    // Flow accumulation (cells at d8Scale), from the selected source
+    var flowAccumulationCells;
+    if (CONFIG.flowAccumulationSource === 'D8') {
+      flowAccumulationCells = d8Accumulation(d8Index, d8Projection);
+    } else {
+      var upstreamAreaKm2 = CONFIG.flowAccumulationSource === 'MERIT' ?
+        ee.Image('MERIT/Hydro/v1_0_1').select('upa') :
+        ee.Image(CONFIG.flowAccumulationAsset).select(CONFIG.flowAccumulationAssetBand);
+      flowAccumulationCells = upstreamAreaKm2
+        .multiply(1e6)
+        .divide(CONFIG.d8Scale * CONFIG.d8Scale)
+        .max(1)
+        .clip(CONFIG.aoi);
+    }
+    print('  Flow accumulation source:', CONFIG.flowAccumulationSource);
+    
+    var flowAccumulation = flowAccumulationCells
+      .log10()  // Log scale for better visualization
+      .rename('flow_accumulation_log');
+    
+    // Alternative: Use slope to identify potential channels
+    var channelPotential = slope.lt(2)  // Very flat areas
+      .and(elevation.lt(mhwElevation))  // Below MHW
+      .rename('channel_potential');
+    
+    // Distance to potential channels (low-lying flat areas)
+    var channelMask = slope.lt(1).and(elevation.lt(mhwElevation.subtract(0.5)));
+    var distToChannel = channelMask.not().distance(ee.Kernel.euclidean(1000, 'meters'))
+      .clip(CONFIG.aoi)
+      .rename('dist_to_channel_m');
+    
+    // Topographic Wetness Index (simplified for coastal)
+    var slopeForTWI = slope.max(0.1);  // Avoid division by zero
+    var twi = elevation.multiply(-1)  // Lower elevation = wetter
+      .add(10)  // Offset
+      .divide(slopeForTWI.add(0.1))
+      .rename('TWI');
+    
+    // NEW: Lateral transport potential (proxy for carbon export)
+    // Based on slope and proximity to channels
+    var lateralTransportPotential = slope
+      .multiply(distToChannel.divide(100).add(1))
+      .log()
+      .rename('lateral_transport_potential');
+    
+    // Flow convergence index (terrain curvature-based)
+    var curvature = elevation.convolve(ee.Kernel.laplacian8())
+      .rename('terrain_curvature');
+    
+    var connectivityMetrics = ee.Image.cat([
+      flowDirection,
+      flowAccumulation,
+      fillDepth,
+      channelPotential,
+      distToChannel,
+      twi,
+      lateralTransportPotential,
+      curvature
+    ]);
+    
+    print('✓ Connectivity metrics processed:', connectivityMetrics.bandNames());
+  }
+
+  // ============================================================================
+  // SECTION 7: SALINITY PROXIES (BLUE CARBON SPECIFIC)
+  // ============================================================================
+
+  if (startModule('salinity')) {
+    print('\n=== Processing Salinity Proxies (Multi-Factor) ===');
+
+    // FACTOR 1: Distance to permanent water bodies (ocean/estuary proxy)
+    var permanentWater = waterOccurrence.gte(90);
+    var distToOcean = permanentWater.fastDistanceTransform()
+      .sqrt()
+      .multiply(ee.Image.pixelArea().sqrt())
+      .rename('dist_to_ocean_m');
+
+    // Normalized distance score (0-10, closer to ocean = higher)
+    var oceanProximityScore = distToOcean.divide(1000).multiply(-1).add(10)
+      .clamp(0, 10)
+      .rename('ocean_proximity_score');
+
+    // FACTOR 2: Tidal inundation frequency (more frequent = higher salinity exposure)
+    // Use water occurrence as proxy for tidal influence
+    var tidalInfluenceScore = waterOccurrence.divide(10)  // Scale to 0-10
+      .clamp(0, 10)
+      .rename('tidal_influence_score');
+
+    // FACTOR 3: Freshwater input proxy
+    // Higher elevation areas and those far from drainage channels likely have less freshwater dilution
+    // Lower elevation coastal areas with high water occurrence but low elevation = more marine influence
+    var minElevation = ee.Number(elevation.reduceRegion({
+      reducer: ee.Reducer.min(),
+      geometry: CONFIG.aoi,
+      scale: 30,
+      bestEffort: true,
+      maxPixels: 1e9
+    }).values().get(0));
+
+    var freshwaterDilution = elevation.subtract(minElevation)
+      .divide(5)  // Normalize by typical coastal elevation range (5m)
+      .clamp(0, 10);
+
+    // Invert so low values = high salinity (less freshwater dilution)
+    var freshwaterDeficit = ee.Image(10).subtract(freshwaterDilution)
+      .rename('freshwater_deficit_score');
+
+    // FACTOR 4: Drainage connectivity (using flow accumulation)
+    // Areas with high flow accumulation receive more freshwater runoff
+    // Log scale and invert: low flow = high salinity
+    var hasFlow = moduleRan('connectivity');
+    if (hasFlow) {
+      var drainageIsolation = ee.Image(10).subtract(
+        flowAccumulation.unitScale(CONFIG.flowAccumLogRange[0], CONFIG.flowAccumLogRange[1])
+          .clamp(0, 1).multiply(10)  // Normalize log flow accum
+      ).clamp(0, 10).rename('drainage_isolation_score');
+    } else {
+      moduleFallback('salinity', 'no flow accumulation; drainage factor dropped, weights rescaled');
+    }
+
+    // MULTI-FACTOR SALINITY RISK INDEX
+    // Weighted combination of all factors (0-100 scale)
+    // Higher values = higher salinity conditions
+    var salinityRiskIndex = oceanProximityScore.multiply(0.35)      // 35% - distance to ocean
+      .add(tidalInfluenceScore.multiply(0.30))                      // 30% - tidal inundation
+      .add(freshwaterDeficit.multiply(0.20));                       // 20% - freshwater deficit
+    salinityRiskIndex = (hasFlow ?
+        salinityRiskIndex.add(drainageIsolation.multiply(0.15)) :   // 15% - drainage isolation
+        salinityRiskIndex.divide(0.85))
+      .multiply(10)  // Scale to 0-100
+      .rename('salinity_risk_index_0_100');
+
+    // Categorical salinity zones (for stratification)
+    var salinityZone = ee.Image(0)
+      .where(salinityRiskIndex.gte(70), 4)   // Euhaline (marine, >30 ppt)
+      .where(salinityRiskIndex.gte(50).and(salinityRiskIndex.lt(70)), 3)  // Polyhaline (18-30 ppt)
+      .where(salinityRiskIndex.gte(30).and(salinityRiskIndex.lt(50)), 2)  // Mesohaline (5-18 ppt)
+      .where(salinityRiskIndex.gte(10).and(salinityRiskIndex.lt(30)), 1)  // Oligohaline (0.5-5 ppt)
+      .rename('salinity_zone_categorical');
+
+    var salinityProxies = ee.Image.cat([
+      distToOcean,
+      oceanProximityScore,
+      tidalInfluenceScore,
+      freshwaterDeficit
+    ].concat(hasFlow ? [drainageIsolation] : []).concat([
+      salinityRiskIndex,
+      salinityZone
+    ]));
+
+    print('✓ Multi-factor salinity proxies processed:', salinityProxies.bandNames());
+    print('  → Factors: Ocean proximity, Tidal influence, Freshwater deficit, Drainage isolation');
+  }
+
+  // ============================================================================
+  // SECTION 8: BIOMASS PROXIES (BLUE CARBON SPECIFIC)
+  // ============================================================================
+
+  /**
+   * Optical-SAR biomass, canopy height and productivity proxies for one period
+   */
+  function computeBiomassProxies(opticalMetrics, sarFeatures) {
+    // Combined optical-SAR biomass index
+    // NOTE: Current weights (0.4 NDVI, 0.3 EVI, 0.3 SAR) are generic defaults.
+    // Set CONFIG.agbPlotsAsset to replace this index with per-ecosystem AGB
+    // regressions on field plots (Section 12C).
+    var biomassIndex = opticalMetrics.select('NDVI_median_growing').multiply(0.4)
+      .add(opticalMetrics.select('EVI_median_growing').multiply(0.3))
+      .add(sarFeatures.select('VH_median').divide(-20).multiply(0.3))  // Normalized SAR
+      .rename('biomass_index');
+    
+    // Canopy height proxy (VH-VV difference, normalized)
+    var canopyHeightProxy = sarFeatures.select('VH_median')
+      .subtract(sarFeatures.select('VV_median'))
+      .multiply(-1)
+      .rename('canopy_height_proxy');
+    
+    // Vegetation productivity proxy (NDVI * EVI)
+    var productivityProxy = opticalMetrics.select('NDVI_median_growing')
+      .multiply(opticalMetrics.select('EVI_median_growing'))
+      .rename('productivity_proxy');
+    
+    return ee.Image.cat([
+      biomassIndex,
+      canopyHeightProxy,
+      productivityProxy
+    ]);
+  }
+
+  if (startModule('biomass')) {
+    print('\n=== Processing Biomass Proxies ===');
+    
+    var biomassProxies = computeBiomassProxies(opticalMetrics, sarFeatures);
+    
+    print('✓ Biomass proxies processed:', biomassProxies.bandNames());
+  }
+
+  // ============================================================================
+  // SECTION 9: SEDIMENT DYNAMICS INDICATORS (BLUE CARBON SPECIFIC)
+  // ============================================================================
+
+  /**
+   * Turbidity, sediment supply, erosion risk and accretion potential for one
+   * period; sediment supply bands only when connectivity ran
+   */
+  function computeSedimentDynamics(optical, opticalMetrics) {
+    // Periods without scenes keep the turbidity bands, fully masked
+    optical = optical.merge(ee.ImageCollection([ee.Image.constant(0).rename('B4').toFloat().updateMask(0)]));
+
+    // INDICATOR 1: Turbidity Proxy
+    // Use red band reflectance and NDWI to estimate turbidity
+    // Higher red reflectance + lower NDWI = higher turbidity
+    var redReflectance = optical.select('B4').median().rename('red_reflectance_median');
+    var turbidityProxy = redReflectance
+      .multiply(opticalMetrics.select('NDWI_median_annual').multiply(-1).add(1))  // Invert NDWI
+      .multiply(1000)  // Scale up for visualization
+      .rename('turbidity_proxy');
+
+    // Turbidity temporal variability (indicates active sediment transport)
+    var turbidityVariability = optical.select('B4').reduce(ee.Reducer.stdDev())
+      .multiply(1000)
+      .rename('turbidity_variability');
+
+    // INDICATOR 2: Sediment Supply Index
+    // Combines flow accumulation, slope, and erosion potential
+    // Higher values = more sediment being transported to the area
+
+    var hasFlow = moduleRan('connectivity');
+    if (hasFlow) {
+      // Erosion potential from upslope areas (steep areas with high flow accumulation)
+      var erosionPotential = slope
+        .multiply(flowAccumulation.unitScale(CONFIG.flowAccumLogRange[0], CONFIG.flowAccumLogRange[1])
+          .clamp(0, 1))  // Weight by drainage area
+        .rename('upslope_erosion_potential');
+
+      // Sediment delivery potential (considers both source and transport)
+      var sedimentSupplyIndex = erosionPotential
+        .focal_mean(300, 'circle', 'meters')  // Aggregate upslope erosion
+        .multiply(flowAccumulation)
+        .log10()  // Log scale
+        .rename('sediment_supply_index');
+    }
+
+    // INDICATOR 3: Local Erosion Risk
+    // Based on: elevation position, slope, water exposure, vegetation cover
+
+    // Exposure to wave/current energy (combination of water occurrence and position)
+    var waveExposure = waterOccurrence.divide(100)
+      .multiply(ee.Image(1).subtract(opticalMetrics.select('NDVI_median_annual').clamp(0, 1)))  // Low veg = high exposure
+      .multiply(elevation.lt(mhwElevation).multiply(2).add(1))  // Below MHW = more exposed
+      .rename('wave_exposure_index');
+
+    // Erosion risk score (0-100)
+    // High risk = steep, unvegetated, tidally exposed, low sediment supply
+    var erosionRisk = slope.unitScale(0, 5).multiply(20)  // 20% - slope contribution
+      .add(ee.Image(100).subtract(opticalMetrics.select('NDVI_median_annual').add(1).multiply(50)).clamp(0, 100).multiply(0.25))  // 25% - low veg
+      .add(waveExposure.unitScale(0, 2).multiply(100).multiply(0.30));  // 30% - wave exposure
+    erosionRisk = (hasFlow ?
+        erosionRisk.add(ee.Image(100).subtract(sedimentSupplyIndex.unitScale(0, 3).multiply(100)).clamp(0, 100).multiply(0.25)) :  // 25% - low sediment supply
+        erosionRisk.divide(0.75))
+      .clamp(0, 100)
+      .rename('erosion_risk_score_0_100');
+
+    // INDICATOR 4: Accretion Potential
+    // Inverse of erosion - areas likely to accumulate sediment
+    // High accretion = low slope, sheltered, vegetated, high sediment supply
+    var accretionPotential = ee.Image(100).subtract(slope.unitScale(0, 5).multiply(100)).multiply(0.20)  // 20% - low slope
+      .add(opticalMetrics.select('NDVI_median_annual').add(1).multiply(50).clamp(0, 100).multiply(0.25))  // 25% - high veg
+      .add(ee.Image(100).subtract(waveExposure.unitScale(0, 2).multiply(100)).clamp(0, 100).multiply(0.30));  // 30% - sheltered
+    accretionPotential = (hasFlow ?
+        accretionPotential.add(sedimentSupplyIndex.unitScale(0, 3).multiply(100).clamp(0, 100).multiply(0.25)) :  // 25% - high sediment supply
+        accretionPotential.divide(0.75))
+      .clamp(0, 100)
+      .rename('accretion_potential_0_100');
+
+    return ee.Image.cat([
+      turbidityProxy,
+      turbidityVariability
+    ].concat(hasFlow ? [erosionPotential, sedimentSupplyIndex] : []).concat([
+      waveExposure,
+      erosionRisk,
+      accretionPotential
+    ]));
+  }
+
+  if (startModule('sediment')) {
+    print('\n=== Processing Sediment Dynamics Indicators ===');
+    
+    if (!moduleRan('connectivity')) {
+      moduleFallback('sediment', 'no flow accumulation; sediment supply bands dropped, ' +
+                     'erosion/accretion weights rescaled');
+    }
+    var sedimentDynamics = computeSedimentDynamics(optical, opticalMetrics);
+
+    print('✓ Sediment dynamics indicators processed:', sedimentDynamics.bandNames());
+    print('  → Turbidity, Sediment supply, Erosion risk, Accretion potential');
+  }
+
+  // ============================================================================
+  // SECTION 10: VEGETATION CLASSIFICATION (BLUE CARBON SPECIFIC)
+  // ============================================================================
+
+  /**
+   * Marsh / SAV / tidal flat / open water indices, winner-takes-all class and
+   * its confidence for one period
+   */
+  function computeVegetationClassification(optical, opticalMetrics) {
+    // Periods without scenes keep the SWIR-based bands, fully masked
+    optical = optical.merge(ee.ImageCollection([ee.Image.constant(0).rename('B11').toFloat().updateMask(0)]));
+
+    // Spectral separability indices for coastal vegetation types
+    // Goal: Differentiate emergent marsh vs seagrass/SAV vs unvegetated
+
+    // INDEX 1: Emergent Marsh Indicator
+    // Emergent marsh: High NDVI, moderate NDWI (not fully aquatic), high NIR
+    // Strong vegetation signal but emergent above water
+    var emergentMarshIndex = opticalMetrics.select('NDVI_median_growing')
+      .multiply(0.4)  // Strong vegetation
+      .add(opticalMetrics.select('NDWI_median_annual').multiply(-0.3).add(0.3))  // Not too wet
+      .add(opticalMetrics.select('SAVI_median_growing').multiply(0.3))  // Soil-adjusted veg
+      .clamp(0, 1)
+      .rename('emergent_marsh_index');
+
+    // INDEX 2: Submerged Aquatic Vegetation (SAV/Seagrass) Indicator
+    // SAV: Moderate NDVI, high NDWI (aquatic), high WAVI, positive FAI
+    // Vegetation signal but in water
+    var savSeagrassIndex = opticalMetrics.select('WAVI_median_growing')
+      .multiply(0.35)  // Water-adjusted veg index
+      .add(opticalMetrics.select('FAI_median_growing').clamp(-0.1, 0.2).add(0.1).multiply(0.25))  // Floating algae index
+      .add(opticalMetrics.select('NDWI_median_annual').clamp(0, 0.5).multiply(0.25))  // Moderately aquatic
+      .add(opticalMetrics.select('NDVI_median_growing').clamp(0.1, 0.5).multiply(0.15))  // Some veg signal
+      .clamp(0, 1)
+      .rename('sav_seagrass_index');
+
+    // INDEX 3: Unvegetated Tidal Flat Indicator
+    // Low NDVI, variable NDWI (tidal exposure), high red/SWIR reflectance
+    var tidalFlatIndex = ee.Image(1)
+      .subtract(opticalMetrics.select('NDVI_median_annual').clamp(-0.2, 0.3).add(0.2).divide(0.5))  // Low NDVI
+      .multiply(0.4)
+      .add(waterOccurrence.divide(100).multiply(0.3))  // Some tidal influence
+      .add(optical.select('B11').median().clamp(0, 0.3).divide(0.3).multiply(0.3))  // High SWIR (soil/sediment)
+      .clamp(0, 1)
+      .rename('tidal_flat_index');
+
+    // INDEX 4: Open Water Indicator
+    // High NDWI, negative NDVI, high water occurrence
+    var openWaterIndex = opticalMetrics.select('MNDWI_median_annual')
+      .clamp(-0.2, 0.8)
+      .add(0.2)
+      .divide(1.0)
+      .multiply(0.5)
+      .add(waterOccurrence.divide(100).multiply(0.5))
+      .clamp(0, 1)
+      .rename('open_water_index');
+
+    // Dominant vegetation type classification (winner-takes-all)
+    var vegTypeScore = ee.Image.cat([
+      emergentMarshIndex.multiply(10).rename('score_marsh'),
+      savSeagrassIndex.multiply(10).rename('score_sav'),
+      tidalFlatIndex.multiply(10).rename('score_flat'),
+      openWaterIndex.multiply(10).rename('score_water')
+    ]);
+
+    var dominantVegType = vegTypeScore.reduce(ee.Reducer.max())
+      .eq(vegTypeScore)
+      .reduce(ee.Reducer.sum())  // Count matches
+      .where(vegTypeScore.reduce(ee.Reducer.max()).lt(2), 0);  // Low confidence = 0
+
+    // Assign categories: 1=Marsh, 2=SAV/Seagrass, 3=Tidal Flat, 4=Open Water
+    // argmax takes the first class on ties, so every unmasked pixel gets exactly one class
+    var vegClassification = vegTypeScore.toArray().arrayArgmax().arrayGet([0]).add(1)
+      .updateMask(vegTypeScore.reduce(ee.Reducer.max()).gte(2))  // Mask low confidence
+      .rename('vegetation_class_categorical');
+
+    // Classification confidence (0-100)
+    var classificationConfidence = vegTypeScore.reduce(ee.Reducer.max())
+      .multiply(10)
+      .clamp(0, 100)
+      .rename('veg_classification_confidence');
+
+    return ee.Image.cat([
+      emergentMarshIndex,
+      savSeagrassIndex,
+      tidalFlatIndex,
+      openWaterIndex,
+      vegClassification,
+      classificationConfidence
+    ]);
+  }
+
+  if (startModule('vegetation')) {
+    print('\n=== Processing Vegetation Classification Indices ===');
+    
+    var vegetationClassification = computeVegetationClassification(optical, opticalMetrics);
+    var vegClassification = vegetationClassification.select('vegetation_class_categorical');
+
+    print('✓ Vegetation classification processed:', vegetationClassification.bandNames());
+    print('  → Classes: 1=Emergent Marsh, 2=SAV/Seagrass, 3=Tidal Flat, 4=Open Water');
+  }
+
+  // ============================================================================
+  // SECTION 10B: SAV WATER-COLUMN CORRECTION (OPTIONAL)
+  // ============================================================================
+  
+  // Visible bands corrected for glint and available to the depth-invariant indices
+  var SAV_BANDS = ['B2', 'B3', 'B4'];
+  
+  /**
+   * Hedley deglinting of one scene against the deep-water polygons: the
+   * corrected visible bands (<band>_deglint) plus a 0/1 'glint' band. Scenes
+   * without enough clear deep water come back fully masked.
+   */
+  function hedleyDeglint(image, deepWater) {
+    var nir = image.select('B8');
+    var regression = ee.Image.constant(1).addBands(image.select(['B8'].concat(SAV_BANDS)))
+      .reduceRegion({
+        reducer: ee.Reducer.linearRegression(2, SAV_BANDS.length),
+        geometry: deepWater,
+        scale: CONFIG.exportScale,
+        maxPixels: 1e9,
+        bestEffort: true
+      });
+    var nirStats = nir.reduceRegion({
+      reducer: ee.Reducer.min().combine(ee.Reducer.count(), '', true),
+      geometry: deepWater,
+      scale: CONFIG.exportScale,
+      maxPixels: 1e9,
+      bestEffort: true
+    });
+    var names = SAV_BANDS.map(function(band) { return band + '_deglint'; }).concat(['glint']);
+    
+    var deglint = function() {
+      // Row 1 of the (intercept, NIR) x band coefficient array holds the slopes b_i
+      var slopes = ee.Array(regression.get('coefficients')).slice(0, 1, 2).project([1]);
+      var glintSignal = nir.subtract(ee.Number(nirStats.get('B8_min'))).max(0);
+      return image.select(SAV_BANDS)
+        .subtract(ee.Image.constant(slopes.toList()).multiply(glintSignal))
+        .addBands(glintSignal.gt(CONFIG.savGlintNirThreshold))
+        .rename(names)
+        .toFloat();
+    };
+    var empty = ee.Image.constant(names.map(function() { return 0; })).rename(names).toFloat().updateMask(0);
+    
+    return ee.Image(ee.Algorithms.If(
+      ee.Number(nirStats.get('B8_count')).gte(CONFIG.savMinDeepWaterPixels), deglint(), empty));
+  }
+  
+  var waterColumnFeatures = null;
+  
+  if (startModule('savwater')) {
+    print('\n=== Processing SAV Water-Column Correction ===');
+    
+    CONFIG.savBandPairs.forEach(function(pair) {
+      pair.forEach(function(band) {
+        if (SAV_BANDS.indexOf(band) === -1) {
+          throw new Error('Unknown CONFIG.savBandPairs band: ' + band + ' (use ' + SAV_BANDS.join(', ') + ')');
+        }
+      });
+    });
+    
+    var deepWater = ee.FeatureCollection(CONFIG.savDeepWaterAsset).geometry();
+    
+    // Subtidal and low-intertidal pixels
+    var savWaterMask = waterOccurrence.unmask(0).gte(CONFIG.savMinWaterOccurrence)
+      .or(elevationRelMHW.lte(CONFIG.savMaxElevRelMHW_m).unmask(0));
+    
+    var deglinted = optical_growing.map(function(image) {
+      return hedleyDeglint(image, deepWater);
+    });
+    var compositeNames = SAV_BANDS.map(function(band) { return band + '_deglint_median_growing'; });
+    var deglintComposite = deglinted.select(SAV_BANDS.map(function(band) { return band + '_deglint'; }))
+      .median()
+      .rename(compositeNames);
+    
+    // Share of clear observations with glint above the threshold
+    var glintPct = deglinted.select('glint').mean().multiply(100).rename('glint_affected_pct');
+    var glintFlag = glintPct.gt(CONFIG.savGlintMaxPct).rename('glint_affected_flag');
+    
+    var waterColumnLayers = [deglintComposite, glintPct, glintFlag];
+    
+    if (CONFIG.savSandAsset) {
+      var sand = ee.FeatureCollection(CONFIG.savSandAsset).geometry();
+      
+      // X_i = ln(R_i - R_i,deep); pixels no brighter than deep water are optically deep
+      var deepSignal = deglintComposite.reduceRegion({
+        reducer: ee.Reducer.mean(),
+        geometry: deepWater,
+        scale: CONFIG.exportScale,
+        maxPixels: 1e9,
+        bestEffort: true
+      });
+      var bottomSignal = ee.Image.cat(SAV_BANDS.map(function(band, i) {
+        var excess = deglintComposite.select(compositeNames[i]).subtract(ee.Number(deepSignal.get(compositeNames[i])));
+        return excess.updateMask(excess.gt(0)).log().rename(band);
+      }));
+      
+      var depthInvariant = CONFIG.savBandPairs.map(function(pair) {
+        var xi = bottomSignal.select(pair[0]);
+        var xj = bottomSignal.select(pair[1]);
+        var moments = ee.Image.cat([
+          xi.rename('i'),
+          xj.rename('j'),
+          xi.multiply(xi).rename('ii'),
+          xj.multiply(xj).rename('jj'),
+          xi.multiply(xj).rename('ij')
+        ]).reduceRegion({
+          reducer: ee.Reducer.mean(),
+          geometry: sand,
+          scale: CONFIG.exportScale,
+          maxPixels: 1e9,
+          bestEffort: true
+        });
+        var meanI = ee.Number(moments.get('i'));
+        var meanJ = ee.Number(moments.get('j'));
+        var varI = ee.Number(moments.get('ii')).subtract(meanI.multiply(meanI));
+        var varJ = ee.Number(moments.get('jj')).subtract(meanJ.multiply(meanJ));
+        var covIJ = ee.Number(moments.get('ij')).subtract(meanI.multiply(meanJ));
+        
+        // Ratio of attenuation coefficients: k = a + sqrt(a^2 + 1), a = (var_i - var_j) / (2 cov_ij)
+        var a = varI.subtract(varJ).divide(covIJ.multiply(2));
+        var k = a.add(a.multiply(a).add(1).sqrt());
+        print('  Attenuation ratio k(' + pair.join('/') + '):', k);
+        
+        return xi.subtract(xj.multiply(k)).rename('DII_' + pair.join('_'));
+      });
+      waterColumnLayers = waterColumnLayers.concat(depthInvariant);
+    } else {
+      moduleFallback('savwater', 'no savSandAsset, depth-invariant indices skipped');
+    }
+    
+    waterColumnFeatures = ee.Image.cat(waterColumnLayers)
+      .updateMask(savWaterMask)
+      .clip(CONFIG.aoi);
+    
+    print('✓ SAV water-column correction processed:', waterColumnFeatures.bandNames());
+  }
+  
+  // ============================================================================
+  // SECTION 11: OBSERVATION COUNTS & QA LAYERS
+  // ============================================================================
+
+  print('\n=== Processing Quality Assessment Layers ===');
+
+  // Count observations
+  var observationCounts = ee.Image.cat([
+    optical.select('NDVI').count().rename('optical_observation_count'),
+    optical_growing.select('NDVI').count().rename('optical_growing_count'),
+    s1.select('VV').count().rename('SAR_observation_count')
+  ]);
+
+  // Clear-pixel counts per cloud mask strategy
+  var cloudMaskCounts = cloudMaskObservationCounts();
+
+  // Minimum observation flag
+  var minObsFlag = ee.Image.cat([
+    observationCounts.select('optical_observation_count')
+      .gte(CONFIG.minObservationsRequired)
+      .rename('optical_sufficient_flag'),
+    observationCounts.select('SAR_observation_count')
+      .gte(CONFIG.minObservationsRequired)
+      .rename('SAR_sufficient_flag')
+  ]);
+
+  // Spatial heterogeneity (Coefficient of Variation)
+  var ndviCV = opticalMetrics.select('NDVI_stddev_annual')
+    .divide(opticalMetrics.select('NDVI_mean_annual').abs().add(0.001))
+    .multiply(100)
+    .rename('NDVI_spatial_CV_pct');
+
+  var spatialHomogeneityFlag = ndviCV.lt(CONFIG.spatialCV_threshold)
+    .rename('spatial_homogeneity_flag');
+
+  // Pass/fail QA flags available to the composite score
+  var qaFlags = ee.Image.cat([
+    elevationQA,
+    slopeQA,
+    ndviQA,
+    ndwiQA,
+    vvQA,
+    vhQA,
+    minObsFlag,
+    spatialHomogeneityFlag
+  ]);
+  var qaFlagNames = ['elevation_valid_flag', 'slope_valid_flag', 'NDVI_valid_flag', 'NDWI_valid_flag',
+                     'VV_valid_flag', 'VH_valid_flag', 'optical_sufficient_flag', 'SAR_sufficient_flag',
+                     'spatial_homogeneity_flag'];
+
+  var qaWeightedFlags = Object.keys(CONFIG.qaWeights);
+  qaWeightedFlags.forEach(function(flag) {
+    if (qaFlagNames.indexOf(flag) === -1) {
+      throw new Error('Unknown CONFIG.qaWeights flag: ' + flag + ' (expected one of ' + qaFlagNames.join(', ') + ')');
+    }
+  });
+  var qaWeightTotal = qaWeightedFlags.reduce(function(total, flag) {
+    return total + CONFIG.qaWeights[flag];
+  }, 0);
+  if (qaWeightTotal !== 100) {
+    print('⚠️ CONFIG.qaWeights sum to ' + qaWeightTotal + '; composite_quality_score is not on a 0-100 scale');
+  }
+
+  // Composite quality score (0-100)
+  var qualityScore = qaFlags.select(qaWeightedFlags)
+    .multiply(ee.Image.constant(qaWeightedFlags.map(function(flag) {
+      return CONFIG.qaWeights[flag];
+    })))
+    .reduce(ee.Reducer.sum())
+    .rename('composite_quality_score');
+
+  // Overall data completeness mask
+  var completeMask = ee.Image.cat([
+    topographicFeatures,
+    opticalMetrics,
+    sarFeatures
+  ]).mask().reduce(ee.Reducer.min()).rename('data_completeness');
+
+  // Combine all QA layers
+  var qualityLayers = ee.Image.cat([
+    observationCounts,
+    cloudMaskCounts,
+    demInfo,
+    elevationQA,
+    slopeQA,
+    ndviQA,
+    ndwiQA,
+    vvQA,
+    vhQA,
+    minObsFlag,
+    spatialHomogeneityFlag,
+    ndviCV,
+    qualityScore,
+    completeMask
+  ]);
+
+  if (moduleRan('tide')) {
+    qualityLayers = qualityLayers.addBands(tideObservationCounts);
+  }
+  if (moduleRan('inundation')) {
+    qualityLayers = qualityLayers.addBands(inundationObservationCounts);
+  }
+
+  // Calculate quality statistics (also recorded in the run metadata)
+  var qualityScoreStats = qualityScore.reduceRegion({
+    reducer: ee.Reducer.mean()
+      .combine(ee.Reducer.percentile([10, 50, 90]), '', true),
+    geometry: CONFIG.aoi,
+    scale: CONFIG.exportScale * CONFIG.qaStatsScaleMultiplier,
+    maxPixels: 1e9,
+    bestEffort: true
+  });
+
+  qualityScoreStats.evaluate(function(qualityStats) {
+    print('\n=== QUALITY ASSESSMENT SUMMARY ===');
+    print('Mean Quality Score:', qualityStats.composite_quality_score_mean);
+    print('Quality Score Distribution:', qualityStats);
+  });
+
+  completeMask.reduceRegion({
+    reducer: ee.Reducer.mean(),
+    geometry: CONFIG.aoi,
+    scale: CONFIG.exportScale * CONFIG.qaStatsScaleMultiplier,
+    maxPixels: 1e9,
+    bestEffort: true
+  }).evaluate(function(completenessPercent) {
+    print('Data Completeness:', (completenessPercent.data_completeness * 100).toFixed(1), '%');
+  });
+
+  qualityScore.gte(CONFIG.qaPassScore).reduceRegion({
+    reducer: ee.Reducer.mean(),
+    geometry: CONFIG.aoi,
+    scale: CONFIG.exportScale * CONFIG.qaStatsScaleMultiplier,
+    maxPixels: 1e9,
+    bestEffort: true
+  }).evaluate(function(highQualityPercent) {
+    print('High Quality Area (score ≥' + CONFIG.qaPassScore + '):',
+          (highQualityPercent.composite_quality_score * 100).toFixed(1), '%');
+    print('✓ Quality assessment complete');
+  });
+
+  // QA summary regions: one feature per stratum (polygons dissolved by
+  // qaStratumProperty and clipped to the AOI), or the AOI itself
+  var qaRegions;
+  if (CONFIG.qaStrataAsset) {
+    var strataPolygons = ee.FeatureCollection(CONFIG.qaStrataAsset).filterBounds(CONFIG.aoi);
+    qaRegions = ee.FeatureCollection(
+      strataPolygons.aggregate_array(CONFIG.qaStratumProperty).distinct().map(function(stratum) {
+        var geometry = strataPolygons.filter(ee.Filter.eq(CONFIG.qaStratumProperty, stratum))
+          .geometry(1)
+          .intersection(CONFIG.aoi, 1);
+        return ee.Feature(geometry, {stratum: ee.String(stratum)});
+      })
+    );
+  } else {
+    qaRegions = ee.FeatureCollection([ee.Feature(CONFIG.aoi, {stratum: 'AOI'})]);
+  }
+
+  // Flags, completeness and counts are unmasked to 0 so gaps count as failing
+  var qaSummaryImage = ee.Image.cat([
+    qaFlags.unmask(0).multiply(100).rename(qaFlagNames.map(function(flag) {
+      return flag.replace(/_flag$/, '_pass_pct');
+    })),
+    qualityScore.rename('quality_score_mean'),
+    qualityScore.gte(CONFIG.qaPassScore).unmask(0).multiply(100).rename('high_quality_pct'),
+    completeMask.unmask(0).multiply(100).rename('completeness_pct'),
+    observationCounts.unmask(0).rename(['optical_observation_count_mean', 'optical_growing_count_mean',
+                                        'SAR_observation_count_mean'])
+  ]);
+
+  var qaSummary = qaSummaryImage.reduceRegions({
+    collection: qaRegions.map(function(region) {
+      return region.set('area_ha', region.geometry().area(1).divide(1e4));
+    }),
+    reducer: ee.Reducer.mean(),
+    scale: CONFIG.exportScale * CONFIG.qaStatsScaleMultiplier,
+    tileScale: 4
+  });
+  var qaSummarySelectors = ['stratum', 'area_ha'].concat(qaSummaryImage.bandNames().getInfo());
+
+  // ============================================================================
+  // SECTION 12: COMBINE ALL FEATURES
+  // ============================================================================
+
+  print('\n=== Combining All Covariate Layers ===');
+
+  // Feature groups. 'source' and date range feed the band manifest;
+  // static layers (DEM, JRC) carry their own dates.
+  var studyDates = [startDate.format('YYYY-MM-dd').getInfo(), endDate.format('YYYY-MM-dd').getInfo()];
+  var jrcDates = ['1984-03-16', '2021-12-31'];
+  var demDates = ['static', 'static'];
+
+  var featureGroups = [
+    {name: 'topo', image: topographicFeatures, source: demSource.label, dates: demDates},
+    {name: 'optical', image: opticalMetrics, source: opticalSource.label, dates: studyDates},
+    {name: 'sar', image: sarFeatures, source: 'COPERNICUS/S1_GRD', dates: studyDates}
+  ];
+
+  // Optional feature groups (only modules that ran)
+  if (moduleRan('tidal')) {
+    featureGroups.push({name: 'tidal', image: tidalIndicators, source: 'JRC/GSW1_4/GlobalSurfaceWater', dates: jrcDates});
+  }
+  if (moduleRan('inundation')) {
+    featureGroups.push({name: 'inundation', image: inundationMetrics,
+                        source: opticalSource.label + ' + COPERNICUS/S1_GRD', dates: studyDates});
+  }
+  if (moduleRan('connectivity')) {
+    featureGroups.push({name: 'connectivity', image: connectivityMetrics,
+                        source: demSource.label + ' + flow: ' + CONFIG.flowAccumulationSource, dates: demDates});
+  }
+  if (moduleRan('salinity')) {
+    featureGroups.push({name: 'salinity', image: salinityProxies, source: 'Derived (JRC, DEM, flow)', dates: studyDates});
+  }
+  if (moduleRan('biomass')) {
+    featureGroups.push({name: 'biomass', image: biomassProxies, source: 'Derived (optical, SAR)', dates: studyDates});
+  }
+  if (moduleRan('sediment')) {
+    featureGroups.push({name: 'sediment', image: sedimentDynamics,
+                        source: 'Derived (optical, DEM, flow, JRC)', dates: studyDates});
+  }
+  if (moduleRan('vegetation')) {
+    featureGroups.push({name: 'vegetation', image: vegetationClassification,
+                        source: 'Derived (optical, JRC)', dates: studyDates});
+  }
+  if (moduleRan('savwater')) {
+    featureGroups.push({name: 'sav_watercolumn', image: waterColumnFeatures,
+                        source: opticalSource.label + ' (Hedley deglint, Lyzenga DII)', dates: studyDates});
+  }
+  if (moduleRan('phenology')) {
+    featureGroups.push({name: 'phenology', image: phenologyMetrics, source: opticalSource.label, dates: studyDates});
+  }
+  if (moduleRan('texture')) {
+    featureGroups.push({name: 'texture', image: textureFeatures,
+                        source: opticalSource.label + ' + COPERNICUS/S1_GRD', dates: studyDates});
+  }
+  if (moduleRan('radar')) {
+    featureGroups.push({name: 'radar', image: radarIndices, source: 'COPERNICUS/S1_GRD', dates: studyDates});
+  }
+  if (moduleRan('seasonal')) {
+    featureGroups.push({name: 'seasonal', image: seasonalMetrics,
+                        source: opticalSource.label + ' + COPERNICUS/S1_GRD', dates: studyDates});
+  }
+  if (moduleRan('tide')) {
+    featureGroups.push({name: 'tide', image: tideMetrics,
+                        source: CONFIG.tideTableAsset + ' + ' + opticalSource.label + ' + COPERNICUS/S1_GRD',
+                        dates: studyDates});
+  }
+
+  /**
+   * Stack every feature group into one float image clipped to the AOI
+   */
+  function stackFeatureGroups() {
+    return ee.Image.cat(featureGroups.map(function(group) {
+      return group.image;
+    })).clip(CONFIG.aoi).toFloat();
+  }
+
+  var allFeatures = stackFeatureGroups();
+
+  print('Total covariate bands:', allFeatures.bandNames().length().getInfo());
+  print('Covariate bands:', allFeatures.bandNames());
+
+  // ============================================================================
+  // SECTION 12B: SUPERVISED CLASSIFICATION (OPTIONAL)
+  // ============================================================================
+
+  var CLASSIFIERS = {
+    RF: function() {
+      return ee.Classifier.smileRandomForest({
+        numberOfTrees: CONFIG.classifierTrees,
+        seed: CONFIG.classifierSeed
+      });
+    },
+    GBT: function() {
+      return ee.Classifier.smileGradientTreeBoost({
+        numberOfTrees: CONFIG.classifierTrees,
+        seed: CONFIG.classifierSeed
+      });
+    }
+  };
+
+  var classificationAccuracy = null;
+
+  if (startModule('supervised')) {
+    print('\n=== Supervised Classification (' + CONFIG.classifier + ') ===');
+    
+    if (!CLASSIFIERS[CONFIG.classifier]) {
+      throw new Error('Unknown CONFIG.classifier: ' + CONFIG.classifier +
+                      ' (expected one of ' + Object.keys(CLASSIFIERS).join(', ') + ')');
+    }
+    
+    var classProperty = CONFIG.trainingClassProperty;
+    var classCodes = Object.keys(CONFIG.classNames).map(Number).sort(function(a, b) { return a - b; });
+    var classLabels = classCodes.map(function(code) { return CONFIG.classNames[code]; });
+    
+    var trainingFeatures = ee.FeatureCollection(CONFIG.trainingAsset)
+      .filter(ee.Filter.inList(classProperty, classCodes))
+      .randomColumn('split', CONFIG.classifierSeed);
+    
+    var classifierInput = allFeatures.unmask(CONFIG.classifierNoData);
+    var classifierBands = classifierInput.bandNames();
+    
+    // Rasterize labels and draw a class-balanced pixel sample from them
+    var sampleLabelled = function(features) {
+      var labels = features.reduceToImage([classProperty], ee.Reducer.first())
+        .toInt()
+        .rename(classProperty);
+      return classifierInput.addBands(labels).stratifiedSample({
+        numPoints: CONFIG.trainingPointsPerClass,
+        classBand: classProperty,
+        region: CONFIG.aoi,
+        scale: CONFIG.exportScale,
+        seed: CONFIG.classifierSeed,
+        tileScale: 4
+      });
+    };
+    
+    var trainSamples = sampleLabelled(trainingFeatures.filter(ee.Filter.lt('split', CONFIG.trainingSplit)));
+    var testSamples = sampleLabelled(trainingFeatures.filter(ee.Filter.gte('split', CONFIG.trainingSplit)));
+    
+    // The probability array only has entries for classes seen in training
+    var trainedCodes = trainSamples.aggregate_array(classProperty).distinct().getInfo().map(Number);
+    var untrainedClasses = classCodes.filter(function(code) { return trainedCodes.indexOf(code) === -1; });
+    if (untrainedClasses.length) {
+      throw new Error('No training samples for class ' + untrainedClasses.map(function(code) {
+        return code + ' (' + CONFIG.classNames[code] + ')';
+      }).join(', ') + ' after the ' + CONFIG.trainingSplit + ' split: add polygons or remove it from CONFIG.classNames');
+    }
+    
+    var trainedClassifier = CLASSIFIERS[CONFIG.classifier]()
+      .train(trainSamples, classProperty, classifierBands);
+    
+    // Per-class probabilities; array order follows the sorted class codes
+    var classProbabilities = classifierInput
+      .classify(trainedClassifier.setOutputMode('MULTIPROBABILITY'))
+      .arrayFlatten([classLabels.map(function(label) { return 'prob_' + label; })]);
+    
+    var supervisedClass = classifierInput.classify(trainedClassifier)
+      .rename('supervised_class_categorical');
+    
+    var supervisedClassification = supervisedClass.addBands(classProbabilities).clip(CONFIG.aoi);
+    
+    // Hold-out accuracy: confusion matrix rows (actual) x columns (predicted)
+    var errorMatrix = testSamples.classify(trainedClassifier)
+      .errorMatrix(classProperty, 'classification', classCodes);
+    var matrix = errorMatrix.array();
+    var producersAccuracy = errorMatrix.producersAccuracy();
+    var usersAccuracy = errorMatrix.consumersAccuracy();
+    
+    var accuracyRows = classCodes.map(function(code, i) {
+      var row = {
+        row_type: 'confusion',
+        class_code: code,
+        class_name: classLabels[i],
+        producers_accuracy: producersAccuracy.get([i, 0]),
+        users_accuracy: usersAccuracy.get([0, i])
+      };
+      classLabels.forEach(function(label, j) {
+        row['pred_' + label] = matrix.get([i, j]);
+      });
+      return ee.Feature(null, row);
+    });
+    accuracyRows.push(
+      ee.Feature(null, {row_type: 'summary', class_name: 'overall_accuracy', value: errorMatrix.accuracy()}),
+      ee.Feature(null, {row_type: 'summary', class_name: 'kappa', value: errorMatrix.kappa()}),
+      ee.Feature(null, {row_type: 'summary', class_name: 'n_train_pixels', value: trainSamples.size()}),
+      ee.Feature(null, {row_type: 'summary', class_name: 'n_test_pixels', value: testSamples.size()})
+    );
+    classificationAccuracy = {
+      table: ee.FeatureCollection(accuracyRows),
+      selectors: ['row_type', 'class_code', 'class_name']
+        .concat(classLabels.map(function(label) { return 'pred_' + label; }))
+        .concat(['producers_accuracy', 'users_accuracy', 'value'])
+    };
+    
+    print('Classes:', classCodes.map(function(code, i) { return code + '=' + classLabels[i]; }).join(', '));
+    print('Overall accuracy (hold-out):', errorMatrix.accuracy());
+    print('Kappa (hold-out):', errorMatrix.kappa());
+    
+    featureGroups.push({name: 'supervised', image: supervisedClassification,
+                        source: 'Derived (' + CONFIG.classifier + ' on covariates; ' + CONFIG.trainingAsset + ')',
+                        dates: studyDates});
+    allFeatures = stackFeatureGroups();
+    print('✓ Supervised classification complete:', supervisedClassification.bandNames());
+  }
+
+  // ============================================================================
+  // SECTION 12C: FIELD-CALIBRATED BIOMASS (OPTIONAL)
+  // ============================================================================
+
+  var biomassFitStats = null;
+
+  if (startModule('agb')) {
+    print('\n=== Field-Calibrated Biomass Model ===');
+    
+    var agbColumns = ['constant'].concat(CONFIG.agbPredictors);
+    var ecosystemMap = moduleRan('supervised') ? supervisedClass : vegClassification;
+    var agbDesign = ee.Image.constant(1).rename('constant')
+      .addBands(allFeatures.select(CONFIG.agbPredictors));
+    var x0 = agbDesign.toArray().toArray(1);  // (p+1) x 1 per pixel
+    
+    var plotSamples = agbDesign.sampleRegions({
+      collection: ee.FeatureCollection(CONFIG.agbPlotsAsset),
+      properties: [CONFIG.agbProperty, CONFIG.agbEcosystemProperty],
+      scale: CONFIG.exportScale,
+      geometries: false
+    });
+    var plotCounts = plotSamples.aggregate_histogram(CONFIG.agbEcosystemProperty).getInfo();
+    
+    var agbPredictions = [];
+    var fitRows = [];
+    
+    Object.keys(CONFIG.classNames).forEach(function(code) {
+      var ecosystem = CONFIG.classNames[code];
+      var n = plotCounts[ecosystem] || 0;
+      if (n < Math.max(CONFIG.agbMinPlots, agbColumns.length + 1)) {
+        if (n > 0) {
+          print('⚠️ Skipping ' + ecosystem + ': only ' + n + ' plots with valid covariates');
+        }
+        return;
+      }
+      
+      var samples = plotSamples.filter(ee.Filter.eq(CONFIG.agbEcosystemProperty, ecosystem));
+      var fit = samples.reduceColumns(
+        ee.Reducer.linearRegression(agbColumns.length, 1), agbColumns.concat([CONFIG.agbProperty]));
+      var coefficients = ee.Array(fit.get('coefficients'));  // (p+1) x 1
+      var rmse = ee.Number(ee.Array(fit.get('residuals')).get([0]));
+      var sigma = rmse.multiply(Math.sqrt(n / (n - agbColumns.length)));  // n - p - 1 d.f.
+      var r2 = ee.Number(1).subtract(rmse.pow(2).divide(samples.aggregate_total_var(CONFIG.agbProperty)));
+      
+      // Prediction SE = sigma * sqrt(1 + x0' (X'X)^-1 x0)
+      var X = ee.Array(samples.reduceColumns(ee.Reducer.toList(agbColumns.length), agbColumns).get('list'));
+      var xtxInverse = X.matrixTranspose().matrixMultiply(X).matrixInverse();
+      var leverage = x0.arrayTranspose().matrixMultiply(ee.Image(xtxInverse).matrixMultiply(x0))
+        .arrayGet([0, 0]);
+      
+      agbPredictions.push(ee.Image.cat([
+        ee.Image(coefficients.matrixTranspose()).matrixMultiply(x0).arrayGet([0, 0])
+          .max(0)
+          .rename('agb_g_m2'),
+        leverage.add(1).sqrt().multiply(sigma).rename('agb_prediction_se_g_m2')
+      ]).updateMask(ecosystemMap.eq(Number(code))));
+      
+      var row = {ecosystem: ecosystem, class_code: Number(code), n: n, r2: r2, rmse_g_m2: rmse, sigma_g_m2: sigma};
+      agbColumns.forEach(function(column, i) {
+        row['coef_' + (column === 'constant' ? 'intercept' : column)] = coefficients.get([i, 0]);
+      });
+      fitRows.push(ee.Feature(null, row));
+      print('  ' + ecosystem + ': n = ' + n, '| R²:', r2, '| RMSE (g/m²):', rmse);
+    });
+    
+    if (agbPredictions.length === 0) {
+      print('⚠️ No ecosystem has at least ' + CONFIG.agbMinPlots + ' AGB plots; keeping biomass_index');
+    } else {
+      var agbCalibrated = ee.ImageCollection(agbPredictions).mosaic();
+      
+      featureGroups.forEach(function(group) {
+        if (group.name === 'biomass') {
+          group.image = group.image.select(group.image.bandNames().remove('biomass_index'))
+            .addBands(agbCalibrated);
+          group.source += '; AGB calibrated on ' + CONFIG.agbPlotsAsset;
+        }
+      });
+      allFeatures = stackFeatureGroups();
+      
+      biomassFitStats = {
+        table: ee.FeatureCollection(fitRows),
+        selectors: ['ecosystem', 'class_code', 'n', 'r2', 'rmse_g_m2', 'sigma_g_m2'].concat(
+          agbColumns.map(function(column) {
+            return 'coef_' + (column === 'constant' ? 'intercept' : column);
+          }))
+      };
+      print('✓ Calibrated AGB replaces biomass_index (' + agbPredictions.length + ' ecosystem models)');
+    }
+  }
+
+  // ============================================================================
+  // SECTION 12D: MULTI-EPOCH STACKS (OPTIONAL)
+  // ============================================================================
+
+  // Groups exported as their own stacks alongside (not inside) allFeatures:
+  // per-epoch covariates and sea-level-rise scenarios
+  var stackGroups = [];
+
+  if (startModule('epochs')) {
+    print('\n=== Processing Multi-Epoch Stacks ===');
+    
+    var epochs = CONFIG.epochs.slice().sort(function(a, b) { return a - b; });
+    var firstYear = epochs[0] - CONFIG.epochWindowYears + 1;
+    var lastYear = epochs[epochs.length - 1];
+    
+    var growingMonths = ee.Filter.calendarRange(
+      CONFIG.growingSeasonStartMonth, CONFIG.growingSeasonEndMonth, 'month');
+    
+    var epochInundation = {};
+    epochs.forEach(function(year) {
+      var start = ee.Date.fromYMD(year - CONFIG.epochWindowYears + 1, 1, 1);
+      var end = ee.Date.fromYMD(year + 1, 1, 1);
+      var suffix = '_' + year;
+      
+      var epochOptical = loadOptical(start, end);
+      var epochGrowing = epochOptical.filter(growingMonths);
+      epochGrowing = ee.ImageCollection(ee.Algorithms.If(
+        epochGrowing.size().gt(0), epochGrowing, epochOptical));
+      var epochOpticalMetrics = computeOpticalMetrics(epochOptical, epochGrowing);
+      
+      var epochS1All = loadSentinel1(start, end);
+      var epochS1Ascending = epochS1All.filter(ee.Filter.eq('orbitProperties_pass', 'ASCENDING'));
+      var epochS1Descending = epochS1All.filter(ee.Filter.eq('orbitProperties_pass', 'DESCENDING'));
+      var epochS1 = CONFIG.sarLegacyOrbit === 'ASCENDING' ? epochS1Ascending :
+                    CONFIG.sarLegacyOrbit === 'DESCENDING' ? epochS1Descending :
+                    epochS1All;
+      var epochSarMetrics = computeSarMetrics(epochS1, epochS1Ascending, epochS1Descending);
+      
+      var inundationEpoch = computeInundation(epochOptical, epochS1All,
+                                              epochOpticalMetrics.select('NDVI_median_growing'));
+      epochInundation[year] = inundationEpoch.metrics.select('inundation_frequency_pct');
+      
+      // Every period-dependent module that ran, through the same builders
+      var epochLayers = [epochOpticalMetrics, epochSarMetrics, inundationEpoch.metrics];
+      if (moduleRan('phenology')) {
+        epochLayers.push(computePhenology(epochOptical, start, end));
+      }
+      if (moduleRan('radar')) {
+        epochLayers.push(computeRadarIndices(epochS1));
+      }
+      if (moduleRan('seasonal')) {
+        epochLayers.push(computeSeasonalMetrics(epochOptical, epochS1).metrics);
+      }
+      if (moduleRan('texture')) {
+        epochLayers.push(computeTexture(epochGrowing, epochSarMetrics));
+      }
+      if (moduleRan('biomass')) {
+        epochLayers.push(computeBiomassProxies(epochOpticalMetrics, epochSarMetrics));
+      }
+      if (moduleRan('sediment')) {
+        epochLayers.push(computeSedimentDynamics(epochOptical, epochOpticalMetrics));
+      }
+      if (moduleRan('vegetation')) {
+        epochLayers.push(computeVegetationClassification(epochOptical, epochOpticalMetrics));
+      }
+      
+      var epochImage = ee.Image.cat(epochLayers);
+      epochImage = epochImage.rename(epochImage.bandNames().map(function(name) {
+        return ee.String(name).cat(suffix);
+      }));
+      
+      stackGroups.push({
+        name: 'epoch' + suffix,
+        image: epochImage.clip(CONFIG.aoi).toFloat(),
+        source: opticalSource.label + ' + COPERNICUS/S1_GRD',
+        dates: [(year - CONFIG.epochWindowYears + 1) + '-01-01', year + '-12-31']
+      });
+      
+      if (CONFIG.opticalSource === 'S2' && year - CONFIG.epochWindowYears + 1 < 2017) {
+        print('  ⚠️ Epoch ' + year + ' starts before Sentinel-2 SR (2017): optical bands may be fully masked; ' +
+              'use opticalSource: \'LANDSAT\'');
+      }
+      if (year < 2015) {
+        print('  ⚠️ Epoch ' + year + ' has no Sentinel-1 coverage: SAR bands are exported fully masked');
+      }
+    });
+    
+    // Trends: Sen's slope of annual growing-season NDVI over the whole span,
+    // and inundation change from the first to the last epoch
+    var allYearsOptical = loadOptical(ee.Date.fromYMD(firstYear, 1, 1), ee.Date.fromYMD(lastYear + 1, 1, 1))
+      .filter(growingMonths);
+    var annualNdvi = ee.ImageCollection(ee.List.sequence(firstYear, lastYear).map(function(year) {
+      var yearOptical = allYearsOptical.filter(ee.Filter.calendarRange(year, year, 'year')).select('NDVI');
+      var yearNdvi = ee.Image(ee.Algorithms.If(
+        yearOptical.size().gt(0),
+        yearOptical.median(),
+        ee.Image.constant(0).rename('NDVI').updateMask(0)  // Year without scenes
+      ));
+      return ee.Image.constant(year).toFloat().rename('year').addBands(yearNdvi.toFloat());
+    }));
+    var ndviSlope = annualNdvi.select(['year', 'NDVI']).reduce(ee.Reducer.sensSlope())
+      .select('slope')
+      .rename('NDVI_sens_slope_per_year');
+    
+    var inundationChange = epochInundation[lastYear].subtract(epochInundation[epochs[0]])
+      .rename('inundation_frequency_change_pct_' + epochs[0] + '_' + lastYear);
+    
+    stackGroups.push({
+      name: 'epoch_trends',
+      image: ee.Image.cat([ndviSlope, inundationChange]).clip(CONFIG.aoi).toFloat(),
+      source: opticalSource.label + ' + COPERNICUS/S1_GRD',
+      dates: [firstYear + '-01-01', lastYear + '-12-31']
+    });
+    
+    print('Epochs:', epochs.join(', '), '| window:', CONFIG.epochWindowYears, 'year(s)');
+    print('✓ Multi-epoch stacks processed:', epochs.length, 'epochs + trend bands');
+  }
+
+  // ============================================================================
+  // SECTION 12E: SEA-LEVEL-RISE SCENARIOS & ACCOMMODATION SPACE (OPTIONAL)
+  // ============================================================================
+
+  /**
+   * Projected sea-level rise (m) from yearEnd to a horizon year for a scenario
+   * reaching totalRise by 2100 (USACE/NRC: a*dt + b*dt^2)
+   */
+  function projectedRise(totalRise, horizonYear) {
+    var a = CONFIG.slrHistoricRate_m_yr;
+    var span = 2100 - CONFIG.yearEnd;
+    var b = (totalRise - a * span) / (span * span);
+    var dt = horizonYear - CONFIG.yearEnd;
+    return a * dt + b * dt * dt;
+  }
+
+  /**
+   * Tidal zone code (1-5) from elevation relative to MHW
+   */
+  function tidalZoneFromMHW(relMHW) {
+    var breaks = CONFIG.slrZoneBreaks_m;
+    return ee.Image(5)
+      .where(relMHW.lt(breaks[3]), 4)
+      .where(relMHW.lt(breaks[2]), 3)
+      .where(relMHW.lt(breaks[1]), 2)
+      .where(relMHW.lt(breaks[0]), 1)
+      .updateMask(relMHW.mask());
+  }
+
+  var slrAreaSummary = null;
+
+  if (startModule('slr')) {
+    print('\n=== Processing Sea-Level-Rise Scenarios ===');
+    
+    if (CONFIG.yearEnd >= 2100) {
+      throw new Error('CONFIG.yearEnd must be before 2100 for SLR scenarios (rise is fitted to 2100)');
+    }
+    CONFIG.slrHorizonYears.forEach(function(year) {
+      if (year <= CONFIG.yearEnd) {
+        throw new Error('CONFIG.slrHorizonYears: ' + year + ' is not after CONFIG.yearEnd (' + CONFIG.yearEnd + ')');
+      }
+    });
+    
+    var subtidalLimit = CONFIG.slrZoneBreaks_m[0];
+    var marshUpperLimit = CONFIG.slrZoneBreaks_m[2];
+    var currentZone = tidalZoneFromMHW(elevationRelMHW);
+    var onPlatform = currentZone.eq(2).or(currentZone.eq(3));  // Low and high marsh accrete
+    var developed = CONFIG.slrExcludeDeveloped ?
+      ee.ImageCollection('ESA/WorldCover/v200').first().eq(50) :
+      ee.Image(0);
+    var hectares = ee.Image.pixelArea().divide(1e4);
+    
+    var slrBands = [];
+    var slrRows = [];
+    CONFIG.slrScenarios_m.forEach(function(totalRise) {
+      var label = 'slr' + ('00' + Math.round(totalRise * 100)).slice(-3);  // e.g. 0.5 m -> slr050
+      
+      CONFIG.slrHorizonYears.forEach(function(year) {
+        var rise = projectedRise(totalRise, year);
+        var accretion = CONFIG.slrAccretionRate_mm_yr / 1000 * (year - CONFIG.yearEnd);
+        var tag = year + '_' + label;
+        
+        var projectedRelMHW = elevationRelMHW
+          .subtract(rise)
+          .add(onPlatform.multiply(accretion))
+          .rename('elev_rel_MHW_' + tag + '_m');
+        var projectedZone = tidalZoneFromMHW(projectedRelMHW).rename('tidal_zone_' + tag);
+        
+        // Upland today that falls within the marsh elevation range
+        var accommodation = currentZone.gte(4)
+          .and(projectedRelMHW.gte(subtidalLimit))
+          .and(projectedRelMHW.lt(marshUpperLimit))
+          .and(developed.unmask(0).not())
+          .rename('accommodation_space_' + tag + '_flag');
+        
+        slrBands.push(projectedRelMHW, projectedZone, accommodation);
+        
+        var areas = ee.Image.cat([
+          hectares.updateMask(accommodation).rename('accommodation_area_ha'),
+          hectares.updateMask(projectedZone.eq(2).or(projectedZone.eq(3))).rename('marsh_area_ha'),
+          hectares.updateMask(projectedZone.eq(1)).rename('subtidal_area_ha')
+        ]).reduceRegion({
+          reducer: ee.Reducer.sum(),
+          geometry: CONFIG.aoi,
+          scale: CONFIG.exportScale,
+          maxPixels: 1e13,
+          bestEffort: true
+        });
+        slrRows.push(ee.Feature(null, areas).set({
+          scenario: label,
+          rise_2100_m: totalRise,
+          horizon_year: year,
+          projected_rise_m: rise,
+          accretion_m: accretion
+        }));
+        print('  ' + label + ' ' + year + ': rise ' + rise.toFixed(2) + ' m, accretion ' +
+              accretion.toFixed(2) + ' m');
+      });
+    });
+    
+    // Present-day marsh area for reference
+    var currentMarshArea = hectares.updateMask(currentZone.eq(2).or(currentZone.eq(3)))
+      .rename('marsh_area_ha')
+      .reduceRegion({
+        reducer: ee.Reducer.sum(),
+        geometry: CONFIG.aoi,
+        scale: CONFIG.exportScale,
+        maxPixels: 1e13,
+        bestEffort: true
+      });
+    slrRows.unshift(ee.Feature(null, currentMarshArea).set({
+      scenario: 'present',
+      rise_2100_m: 0,
+      horizon_year: CONFIG.yearEnd,
+      projected_rise_m: 0,
+      accretion_m: 0
+    }));
+    
+    slrAreaSummary = ee.FeatureCollection(slrRows);
+    
+    stackGroups.push({
+      name: 'slr_scenarios',
+      image: ee.Image.cat(slrBands).clip(CONFIG.aoi).toFloat(),
+      source: demSource.label + ' + tidal datums (' + CONFIG.tidalDatumSource + ')',
+      dates: [CONFIG.yearEnd + '-12-31', Math.max.apply(null, CONFIG.slrHorizonYears) + '-12-31']
+    });
+    
+    print('✓ SLR scenarios processed:', CONFIG.slrScenarios_m.length, 'scenarios x',
+          CONFIG.slrHorizonYears.length, 'horizons');
+  }
+
+  print('\n=== MODULE SUMMARY ===');
+  Object.keys(MODULES).forEach(function(name) {
+    var module = MODULES[name];
+    var icon = {ran: '✓', off: '–', skipped: '⚠️'}[module.status];
+    print(icon + ' ' + module.label + ': ' + module.status +
+          (module.notes.length ? ' (' + module.notes.join('; ') + ')' : ''));
+  });
+
+  // ============================================================================
+  // SECTION 13: VISUALIZATION
+  // ============================================================================
+
+  print('\n=== Adding Visualization Layers ===');
+
+  Map.addLayer(elevation, {min: -5, max: 10, palette: ['blue', 'cyan', 'yellow', 'green']}, 
+              'Elevation (m)', false);
+  Map.addLayer(slope, {min: 0, max: 5, palette: ['white', 'yellow', 'red']}, 
+              'Slope (degrees)', false);
+  Map.addLayer(waterOccurrence, {min: 0, max: 100, palette: ['white', 'cyan', 'blue']}, 
+              'Water Occurrence %', false);
+  Map.addLayer(opticalMetrics.select('NDVI_median_growing'), 
+              {min: -0.2, max: 0.8, palette: ['blue', 'white', 'green']}, 
+              'NDVI Growing Season', false);
+  Map.addLayer(opticalMetrics.select('NDWI_median_annual'),
+              {min: -0.5, max: 0.5, palette: ['brown', 'white', 'blue']},
+              'NDWI (Water Index)', false);
+  Map.addLayer(sarFeatures.select('VH_median'), 
+              {min: -25, max: -10, palette: ['black', 'white', 'green']}, 
+              'SAR VH (Vegetation)', false);
+  Map.addLayer(qualityScore, 
+              {min: 0, max: 100, palette: ['red', 'yellow', 'green']}, 
+              'Quality Score', true);
+
+  if (moduleRan('biomass')) {
+    Map.addLayer(biomassProxies.select('biomass_index'),
+                {min: 0, max: 0.5, palette: ['brown', 'yellow', 'green']},
+                'Biomass Index', false);
+  }
+
+  print('✓ Visualization layers added');
+
+  // ============================================================================
+  // SECTION 14: EXPORT FUNCTIONS
+  // ============================================================================
+
+  print('\n========================================');
+  print('READY TO EXPORT BLUE CARBON COVARIATES');
+  print('========================================\n');
+
+  // Export destination naming rules
+  //   DRIVE - <exportFolder>/<fileName>.tif|.csv
+  //   GCS   - gs://<exportBucket>/<exportFolder>/<fileName>.tif|.csv
+  //   ASSET - <exportAssetFolder>/<description>
+  // Task descriptions and asset names may only contain letters, digits, '_'
+  // and '-' (max 100 characters); anything else becomes '_'.
+  if (['DRIVE', 'ASSET', 'GCS'].indexOf(CONFIG.exportDestination) === -1) {
+    throw new Error('Unknown CONFIG.exportDestination: ' + CONFIG.exportDestination);
+  }
+  if (CONFIG.exportDestination === 'GCS' && !CONFIG.exportBucket) {
+    throw new Error('CONFIG.exportDestination is GCS but CONFIG.exportBucket is empty');
+  }
+
+  function exportSafeName(name) {
+    return name.replace(/[^a-zA-Z0-9_-]/g, '_').substring(0, 100);
+  }
+
+  /**
+   * JSON for a CONFIG value; Earth Engine objects (the AOI, asset-backed
+   * geometries) are replaced by their serialized expression
+   */
+  function configJSON(value) {
+    return JSON.stringify(value, function(key, item) {
+      return item instanceof ee.ComputedObject ? item.serialize() : item;
+    });
+  }
+
+  /**
+   * 32-bit FNV-1a hash of a string as 8 hex digits
+   */
+  function fnv1a(text) {
+    var hash = 0x811c9dc5;
+    for (var i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return ('0000000' + hash.toString(16)).slice(-8);
+  }
+
+  // Deterministic run identifier: the same script version and CONFIG (AOI
+  // included) always give the same ID, so a file can be traced to its settings
+  var RUN_ID = fnv1a(SCRIPT_VERSION + '|' + configJSON(CONFIG));
+  print('Run ID:', RUN_ID, '(script version ' + SCRIPT_VERSION + ')');
+
+  function runFileName(name) {
+    return CONFIG.runIdInFileNames ? name + '_' + RUN_ID : name;
+  }
+
+  // Neighbourhood radius (m) each step reads beyond a pixel: focal kernels,
+  // speckle/GLCM windows, distance transforms and iterative D8 routing (one
+  // cell per pass). Tiles overlap by the widest one in use so edge pixels see
+  // the same context as interior ones. SAR and optical windows are in 10 m pixels.
+  var FOCAL_KERNEL_RADII = [
+    {name: 'TPI_100m focal mean', radius_m: 100, enabled: true},
+    {name: 'SAR speckle filter (' + CONFIG.sarSpeckleFilter + ')',
+     radius_m: (CONFIG.sarSpeckleFilter === 'REFINED_LEE' ? 3 : Math.floor(CONFIG.s1SpeckleFilterSize / 2)) * 10,
+     enabled: true},
+    {name: 'GLCM window', radius_m: Math.floor(CONFIG.textureWindowSize / 2) * 10, enabled: moduleRan('texture')},
+    {name: 'sediment_supply_index focal mean', radius_m: 300, enabled: moduleRan('sediment') && moduleRan('connectivity')},
+    {name: 'dist_to_channel_m euclidean kernel', radius_m: 1000, enabled: moduleRan('connectivity')},
+    {name: 'dist_to_ocean_m distance transform (256 JRC pixels)', radius_m: 256 * 30, enabled: moduleRan('salinity')},
+    {name: 'D8 fill/accumulation passes', radius_m: Math.max(CONFIG.d8FillIterations, CONFIG.d8AccumulationIterations) * CONFIG.d8Scale,
+     enabled: moduleRan('connectivity') && CONFIG.flowAccumulationSource === 'D8'}
+  ];
+
+  /**
+   * Build the export tile grid: square core tiles in processingCRS that
+   * intersect the AOI, each with an export region grown by the overlap
+   */
+  function buildTileGrid() {
+    var overlap = CONFIG.tileOverlap_m;
+    if (overlap === null) {
+      overlap = 0;
+      FOCAL_KERNEL_RADII.forEach(function(k) {
+        if (k.enabled) overlap = Math.max(overlap, k.radius_m);
+      });
+    }
+    
+    var proj = ee.Projection(CONFIG.processingCRS);
+    var bounds = CONFIG.aoi.transform(proj, 1).bounds(1, proj).coordinates().getInfo()[0];
+    var xs = bounds.map(function(c) { return c[0]; });
+    var ys = bounds.map(function(c) { return c[1]; });
+    var xmin = Math.min.apply(null, xs);
+    var ymax = Math.max.apply(null, ys);
+    var nCols = Math.ceil((Math.max.apply(null, xs) - xmin) / CONFIG.tileSize_m);
+    var nRows = Math.ceil((ymax - Math.min.apply(null, ys)) / CONFIG.tileSize_m);
+    
+    var pad = function(n) { return (n < 10 ? '0' : '') + n; };
+    var cells = [];
+    for (var row = 0; row < nRows; row++) {
+      for (var col = 0; col < nCols; col++) {
+        var x0 = xmin + col * CONFIG.tileSize_m;
+        var y1 = ymax - row * CONFIG.tileSize_m;
+        var core = ee.Geometry.Rectangle(
+          [x0, y1 - CONFIG.tileSize_m, x0 + CONFIG.tileSize_m, y1], proj, false);
+        cells.push(ee.Feature(core, {
+          tile_id: 'r' + pad(row) + '_c' + pad(col),
+          row: row,
+          col: col,
+          tile_size_m: CONFIG.tileSize_m,
+          overlap_m: overlap,
+          crs: CONFIG.processingCRS
+        }));
+      }
+    }
+    
+    var index = ee.FeatureCollection(cells).filterBounds(CONFIG.aoi);
+    var ids = index.aggregate_array('tile_id').getInfo();
+    var tiles = ids.map(function(id) {
+      var core = index.filter(ee.Filter.eq('tile_id', id)).first().geometry();
+      return {
+        id: id,
+        region: core.buffer(overlap, 1, proj).bounds(1, proj).intersection(CONFIG.aoi.buffer(overlap), 1)
+      };
+    });
+    
+    return {index: index, tiles: tiles, overlap: overlap};
+  }
+
+  var tileGrid = null;
+  if (CONFIG.exportTiled) {
+    tileGrid = buildTileGrid();
+    print('Tiled export:', tileGrid.tiles.length, 'tiles of', CONFIG.tileSize_m / 1000, 'km',
+          '| overlap', tileGrid.overlap, 'm');
+    if (tileGrid.overlap > CONFIG.tileSize_m / 2) {
+      print('  ⚠️ Overlap exceeds half the tile size: raise tileSize_m or set tileOverlap_m');
+    }
+    if (tileGrid.tiles.length === 0) {
+      throw new Error('Tile grid does not intersect CONFIG.aoi');
+    }
+  }
+
+  // Class codes, tidal zones and 0/1 flags (optionally epoch-suffixed) must not
+  // be averaged into fractional values at lower asset pyramid levels
+  var CATEGORICAL_BAND_PATTERN = /categorical|_class|_code$|^flow_direction_d8$|^tidal_zone|_flag(_\d{4})?$/;
+
+  /**
+   * Asset pyramiding policy: 'mode' for categorical bands, 'mean' otherwise
+   */
+  function pyramidingPolicy(image) {
+    var policy = {'.default': 'mean'};
+    image.bandNames().getInfo().forEach(function(bandName) {
+      if (CATEGORICAL_BAND_PATTERN.test(bandName)) {
+        policy[bandName] = 'mode';
+      }
+    });
+    return policy;
+  }
+
+  /**
+   * Export an image to the configured destination as a cloud-optimized GeoTIFF
+   * (Drive/GCS) or an image asset
+   */
+  function exportImage(image, fileName, description) {
+    fileName = runFileName(fileName);
+    description = description ? runFileName(description) : fileName;
+    var policy = CONFIG.exportDestination === 'ASSET' ? pyramidingPolicy(image) : null;
+    if (tileGrid) {
+      tileGrid.tiles.forEach(function(tile) {
+        exportImageRegion(image, fileName + '_' + tile.id,
+                          description + '_' + tile.id, tile.region, policy);
+      });
+      return;
+    }
+    exportImageRegion(image, fileName, description, CONFIG.aoi, policy);
+  }
+
+  function exportImageRegion(image, fileName, description, region, policy) {
+    description = exportSafeName(description);
+    var params = {
+      image: image.toFloat(),
+      description: description,
+      region: region,
+      scale: CONFIG.exportScale,
+      crs: CONFIG.exportCRS,
+      maxPixels: CONFIG.maxPixels
+    };
+    
+    if (CONFIG.exportDestination === 'ASSET') {
+      params.assetId = CONFIG.exportAssetFolder + '/' + description;
+      params.pyramidingPolicy = policy;
+      Export.image.toAsset(params);
+      return;
+    }
+    
+    params.fileFormat = 'GeoTIFF';
+    params.formatOptions = {cloudOptimized: true};
+    if (CONFIG.exportDestination === 'GCS') {
+      params.bucket = CONFIG.exportBucket;
+      params.fileNamePrefix = CONFIG.exportFolder + '/' + fileName;
+      Export.image.toCloudStorage(params);
+    } else {
+      params.folder = CONFIG.exportFolder;
+      params.fileNamePrefix = fileName;
+      Export.image.toDrive(params);
+    }
+  }
+
+  /**
+   * Export a table to the configured destination (CSV for Drive/GCS, table
+   * asset otherwise)
+   */
+  function exportTable(collection, fileName, selectors) {
+    fileName = runFileName(fileName);
+    var description = exportSafeName(fileName);
+    
+    if (CONFIG.exportDestination === 'ASSET') {
+      Export.table.toAsset({
+        collection: collection,
+        description: description,
+        assetId: CONFIG.exportAssetFolder + '/' + description
+      });
+      return;
+    }
+    
+    var params = {
+      collection: collection,
+      description: description,
+      fileFormat: 'CSV',
+      selectors: selectors
+    };
+    if (CONFIG.exportDestination === 'GCS') {
+      params.bucket = CONFIG.exportBucket;
+      params.fileNamePrefix = CONFIG.exportFolder + '/' + fileName;
+      Export.table.toCloudStorage(params);
+    } else {
+      params.folder = CONFIG.exportFolder;
+      params.fileNamePrefix = fileName;
+      Export.table.toDrive(params);
+    }
+  }
+
+  /**
+   * Export individual bands as separate GeoTIFF files
+   */
+  function exportIndividualBands() {
+    print('=== EXPORTING INDIVIDUAL COVARIATE BANDS ===');
+    
+    var bandNames = allFeatures.bandNames().getInfo();
+    
+    print('Total bands to export:', bandNames.length);
+    print('Export destination:', CONFIG.exportDestination,
+          CONFIG.exportDestination === 'ASSET' ? CONFIG.exportAssetFolder : CONFIG.exportFolder);
+    print('\nCreating export tasks...\n');
+    
+    for (var i = 0; i < bandNames.length; i++) {
+      var bandName = bandNames[i];
+      var singleBand = allFeatures.select(bandName);
+      var cleanName = bandName.replace(/[^a-zA-Z0-9_]/g, '_');
+      
+      exportImage(singleBand, cleanName, CONFIG.exportPrefix + '_' + cleanName);
+      
+      if ((i + 1) % 10 === 0 || i === bandNames.length - 1) {
+        print('  Created tasks:', (i + 1), '/', bandNames.length);
+      }
+    }
+    
+    print('\n✓ All covariate band export tasks created!');
+  }
+
+  /**
+   * Export quality assessment layers
+   */
+  function exportQualityLayers() {
+    print('\n=== EXPORTING QUALITY ASSESSMENT LAYERS ===');
+    
+    var qaLayerNames = qualityLayers.bandNames().getInfo();
+    
+    print('QA layers to export:', qaLayerNames.length);
+    
+    for (var i = 0; i < qaLayerNames.length; i++) {
+      var layerName = qaLayerNames[i];
+      var singleLayer = qualityLayers.select(layerName);
+      var cleanName = 'QA_' + layerName.replace(/[^a-zA-Z0-9_]/g, '_');
+      
+      exportImage(singleLayer, cleanName);
+    }
+    
+    print('✓ All QA layer export tasks created!');
+  }
+
+  // Units and valid range by band-name pattern; first match wins
+  var BAND_UNIT_RULES = [
+    {pattern: /_change_/, units: 'difference (last - first epoch)', min: null, max: null},
+    {pattern: /_sens_slope_per_year$/, units: 'index units per year', min: null, max: null},
+    {pattern: /_flag$/, units: 'flag (0/1)', min: 0, max: 1},
+    {pattern: /^prob_/, units: 'probability', min: 0, max: 1},
+    {pattern: /_g_m2$/, units: 'g/m²', min: 0, max: null},
+    {pattern: /count/, units: 'count', min: 0, max: null},
+    {pattern: /categorical|_code$|^flow_direction_d8$|^tidal_zone/, units: 'class code', min: 0, max: null},
+    {pattern: /_doy$/, units: 'day of year', min: 1, max: 366},
+    {pattern: /days_per_year/, units: 'days/year', min: 0, max: 366},
+    {pattern: /_0_100$|^composite_quality_score$|confidence/, units: 'score (0-100)', min: 0, max: 100},
+    {pattern: /_score$/, units: 'score (0-10)', min: 0, max: 10},
+    {pattern: /_pct$/, units: '%', min: 0, max: 100},
+    {pattern: /_degrees$/, units: 'degrees', min: 0, max: 360},
+    {pattern: /_phase$/, units: 'radians', min: -Math.PI, max: Math.PI},
+    {pattern: /^elevation_m$/, units: 'm', min: CONFIG.minElevation, max: CONFIG.maxElevation},
+    {pattern: /_m$/, units: 'm', min: null, max: null},
+    {pattern: /^VV_/, units: 'dB', min: CONFIG.minVV, max: CONFIG.maxVV},
+    {pattern: /^VH_(median|mean|p10|p90)/, units: 'dB', min: CONFIG.minVH, max: CONFIG.maxVH},
+    {pattern: /^(VH|CR)_/, units: 'dB', min: null, max: null},
+    {pattern: /glcm/, units: 'GLCM (8-bit quantized input)', min: null, max: null},
+    {pattern: /^NDVI_/, units: 'index', min: CONFIG.minNDVI, max: CONFIG.maxNDVI},
+    {pattern: /^NDWI_/, units: 'index', min: CONFIG.minNDWI, max: CONFIG.maxNDWI},
+    {pattern: /^MNDWI_/, units: 'index', min: CONFIG.minMNDWI, max: CONFIG.maxMNDWI},
+    {pattern: /^(NDMI|NDRE1|NDRE2|WAVI|SAVI|EVI)_/, units: 'index', min: -1, max: 1},
+    {pattern: /_deglint_/, units: 'reflectance (deglinted)', min: null, max: 1},
+    {pattern: /^DII_/, units: 'depth-invariant index (ln reflectance)', min: null, max: null},
+    {pattern: /reflectance/, units: 'reflectance', min: 0, max: 1}
+  ];
+
+  function bandUnits(bandName) {
+    var baseName = /_change_/.test(bandName) ? bandName : bandName.replace(/_\d{4}$/, '');  // Epoch suffix
+    for (var i = 0; i < BAND_UNIT_RULES.length; i++) {
+      if (BAND_UNIT_RULES[i].pattern.test(baseName)) {
+        return BAND_UNIT_RULES[i];
+      }
+    }
+    return {units: 'unitless', min: null, max: null};
+  }
+
+  /**
+   * Export covariates as one stack ('STACK') or one stack per group
+   * ('GROUPED'), plus the QA layers as their own stack
+   */
+  function exportStacks() {
+    print('=== EXPORTING MULTI-BAND COVARIATE STACKS (' + CONFIG.exportMode + ') ===');
+    
+    if (CONFIG.exportMode === 'STACK') {
+      exportImage(allFeatures, CONFIG.exportPrefix + '_covariate_stack');
+    } else {
+      featureGroups.forEach(function(group) {
+        exportImage(group.image.clip(CONFIG.aoi), CONFIG.exportPrefix + '_' + group.name + '_stack');
+      });
+    }
+    
+    if (CONFIG.includeQualityLayers) {
+      exportImage(qualityLayers, CONFIG.exportPrefix + '_QA_stack');
+    }
+    
+    print('✓ Stack export tasks created');
+  }
+
+  /**
+   * Export each standalone group (epochs, epoch trends, SLR scenarios) as one
+   * stack; every stack uses the same region, CRS and scale so they line up
+   * pixel-for-pixel with each other and with the covariates
+   */
+  function exportStandaloneStacks() {
+    print('\n=== EXPORTING STANDALONE STACKS ===');
+    
+    stackGroups.forEach(function(group) {
+      exportImage(group.image, CONFIG.exportPrefix + '_' + group.name + '_stack');
+    });
+    
+    print('✓ Standalone stack export tasks created (' + stackGroups.length + ')');
+  }
+
+  /**
+   * Export a manifest table describing every exported band: file, position
+   * within the file (1-based, as terra::rast() numbers layers), group, units,
+   * source collection, date range and valid range
+   */
+  function exportBandManifest() {
+    print('\n=== EXPORTING BAND MANIFEST ===');
+    
+    var groups = featureGroups.slice();
+    if (CONFIG.includeQualityLayers) {
+      groups.push({name: 'qa', image: qualityLayers, source: 'Derived QA', dates: studyDates});
+    }
+    // Standalone groups are exported as stacks in every mode
+    stackGroups.forEach(function(group) {
+      groups.push({name: group.name, image: group.image, source: group.source, dates: group.dates, standalone: true});
+    });
+    
+    var rows = [];
+    var stackIndex = 0;
+    groups.forEach(function(group) {
+      var names = group.image.bandNames().getInfo();
+      names.forEach(function(bandName, i) {
+        var file;
+        var bandIndex;
+        if (group.standalone) {
+          file = CONFIG.exportPrefix + '_' + group.name + '_stack.tif';
+          bandIndex = i + 1;
+        } else if (CONFIG.exportMode === 'INDIVIDUAL') {
+          file = (group.name === 'qa' ? 'QA_' : '') + bandName.replace(/[^a-zA-Z0-9_]/g, '_') + '.tif';
+          bandIndex = 1;
+        } else if (group.name === 'qa') {
+          file = CONFIG.exportPrefix + '_QA_stack.tif';
+          bandIndex = i + 1;
+        } else if (CONFIG.exportMode === 'STACK') {
+          file = CONFIG.exportPrefix + '_covariate_stack.tif';
+          bandIndex = ++stackIndex;
+        } else {
+          file = CONFIG.exportPrefix + '_' + group.name + '_stack.tif';
+          bandIndex = i + 1;
+        }
+        
+        file = runFileName(file.replace(/\.tif$/, '')) + '.tif';
+        
+        // Asset exports are named by task description (see exportImage)
+        if (CONFIG.exportDestination === 'ASSET') {
+          var assetName = file.replace(/\.tif$/, '');
+          if (CONFIG.exportMode === 'INDIVIDUAL' && group.name !== 'qa' && !group.standalone) {
+            assetName = CONFIG.exportPrefix + '_' + assetName;
+          }
+          file = CONFIG.exportAssetFolder + '/' + exportSafeName(assetName);
+        }
+        // One file per tile; see the tile index for the tile_id values
+        if (tileGrid) {
+          file = file.replace(/(\.tif)?$/, '_{tile_id}$1');
+        }
+        
+        var units = bandUnits(bandName);
+        rows.push(ee.Feature(null, {
+          file: file,
+          band_index: bandIndex,
+          band_name: bandName,
+          group: group.name,
+          units: units.units,
+          source: group.source,
+          date_start: group.dates[0],
+          date_end: group.dates[1],
+          valid_min: units.min === null ? '' : units.min,
+          valid_max: units.max === null ? '' : units.max
+        }));
+      });
+    });
+    
+    exportTable(ee.FeatureCollection(rows), CONFIG.exportPrefix + '_band_manifest',
+                ['file', 'band_index', 'band_name', 'group', 'units', 'source',
+                 'date_start', 'date_end', 'valid_min', 'valid_max']);
+    
+    print('✓ Band manifest export task created (' + rows.length + ' bands)');
+  }
+
+  /**
+   * Provenance rows (category, key, value) as a FeatureCollection
+   */
+  function metadataRows(category, values) {
+    return ee.FeatureCollection(Object.keys(values).map(function(key) {
+      return ee.Feature(null, {category: category, key: key, value: values[key]});
+    }));
+  }
+
+  /**
+   * Server-side dictionary (e.g. reduceRegion output) as provenance rows;
+   * reducer keys already carry the band name
+   */
+  function dictionaryRows(category, dictionary) {
+    dictionary = ee.Dictionary(dictionary);
+    return ee.FeatureCollection(dictionary.keys().map(function(key) {
+      return ee.Feature(null, {
+        category: category,
+        key: key,
+        value: dictionary.get(key)
+      });
+    }));
+  }
+
+  /**
+   * Image count and comma-separated system:index list of a collection
+   */
+  function collectionRows(name, collection) {
+    var values = {};
+    values[name + '_image_count'] = collection.size();
+    values[name + '_image_ids'] = collection.aggregate_array('system:index').join(',');
+    return metadataRows('collection', values);
+  }
+
+  /**
+   * Export the run metadata table for audit (VM0033 verification): script
+   * version, run ID, full CONFIG, AOI, inputs, image IDs per collection, module
+   * status and the key QA statistics
+   */
+  function exportRunMetadata() {
+    print('\n=== EXPORTING RUN METADATA ===');
+    
+    var configValues = {};
+    Object.keys(CONFIG).forEach(function(key) {
+      configValues[key] = configJSON(CONFIG[key]);
+    });
+    
+    var moduleValues = {};
+    Object.keys(MODULES).forEach(function(name) {
+      var module = MODULES[name];
+      moduleValues[name] = module.status + (module.notes.length ? ' (' + module.notes.join('; ') + ')' : '');
+    });
+    
+    var aoiBounds = CONFIG.aoi.bounds(1);
+    var rows = ee.FeatureCollection([
+      metadataRows('run', {
+        run_id: RUN_ID,
+        script_version: SCRIPT_VERSION,
+        created: new Date().toISOString(),
+        file_suffix: CONFIG.runIdInFileNames ? '_' + RUN_ID : ''
+      }),
+      metadataRows('config', configValues),
+      metadataRows('aoi', {
+        area_km2: CONFIG.aoi.area(1).divide(1e6),
+        bounds_geojson: ee.String.encodeJSON(aoiBounds.coordinates()),
+        centroid_geojson: ee.String.encodeJSON(CONFIG.aoi.centroid(1).coordinates())
+      }),
+      metadataRows('input', {
+        dem: demSource.label,
+        optical: opticalSource.label,
+        sar: 'COPERNICUS/S1_GRD',
+        water_occurrence: 'JRC/GSW1_4/GlobalSurfaceWater',
+        tidal_datums: CONFIG.tidalDatumSource
+      }),
+      collectionRows('optical_annual', optical),
+      collectionRows('optical_growing', optical_growing),
+      collectionRows('s1', s1All),
+      collectionRows('s1_ascending', s1Ascending),
+      collectionRows('s1_descending', s1Descending),
+      metadataRows('module', moduleValues),
+      dictionaryRows('qa', elevStats),
+      dictionaryRows('qa', slopeStats),
+      dictionaryRows('qa', ndwiStats),
+      dictionaryRows('qa', qualityScoreStats)
+    ]).flatten();
+    
+    exportTable(rows, CONFIG.exportPrefix + '_run_metadata', ['category', 'key', 'value']);
+    
+    print('✓ Run metadata export task created (run ID ' + RUN_ID + ')');
+  }
+
+  /**
+   * Invert a square matrix (Gauss-Jordan with partial pivoting); returns null
+   * when the matrix is singular
+   */
+  function invertMatrix(matrix) {
+    var n = matrix.length;
+    var a = matrix.map(function(row, i) {
+      return row.concat(row.map(function(_, j) { return i === j ? 1 : 0; }));
+    });
+    for (var col = 0; col < n; col++) {
+      var pivot = col;
+      for (var r = col + 1; r < n; r++) {
+        if (Math.abs(a[r][col]) > Math.abs(a[pivot][col])) pivot = r;
+      }
+      if (Math.abs(a[pivot][col]) < 1e-10) return null;
+      var tmp = a[col]; a[col] = a[pivot]; a[pivot] = tmp;
+      var scale = a[col][col];
+      for (var c = 0; c < 2 * n; c++) a[col][c] /= scale;
+      for (r = 0; r < n; r++) {
+        if (r === col || a[r][col] === 0) continue;
+        var factor = a[r][col];
+        for (c = 0; c < 2 * n; c++) a[r][c] -= factor * a[col][c];
+      }
+    }
+    return a.map(function(row) { return row.slice(n); });
+  }
+
+  /**
+   * Variance inflation factors from a correlation matrix: diag(R^-1)
+   */
+  function varianceInflation(corr) {
+    var inverse = invertMatrix(corr);
+    return corr.map(function(_, i) { return inverse ? inverse[i][i] : Infinity; });
+  }
+
+  /**
+   * Sample the covariate stack over the AOI, compute pairwise correlations and
+   * VIFs, and propose a reduced, uncorrelated band subset
+   */
+  function screenCovariates() {
+    print('\n=== COLLINEARITY SCREENING ===');
+    
+    var candidates = allFeatures.bandNames().getInfo().filter(function(bandName) {
+      var units = bandUnits(bandName).units;
+      return units !== 'class code' && units !== 'flag (0/1)';
+    });
+    
+    // Drop sparsely valid bands first; otherwise they empty the joint sample
+    var coverage = allFeatures.select(candidates).mask().reduceRegion({
+      reducer: ee.Reducer.mean(),
+      geometry: CONFIG.aoi,
+      scale: CONFIG.exportScale * CONFIG.qaStatsScaleMultiplier,
+      maxPixels: 1e9,
+      bestEffort: true
+    }).getInfo();
+    var bands = candidates.filter(function(bandName) {
+      return coverage[bandName] >= CONFIG.collinearityMinCoverage;
+    });
+    if (bands.length === 0) {
+      print('⚠️ Collinearity screening skipped: no band reaches collinearityMinCoverage (' +
+            CONFIG.collinearityMinCoverage + ')');
+      return null;
+    }
+    
+    var rows = allFeatures.select(bands).sample({
+      region: CONFIG.aoi,
+      scale: CONFIG.exportScale * CONFIG.qaStatsScaleMultiplier,
+      numPixels: CONFIG.collinearitySamplePoints,
+      seed: 42,
+      tileScale: 4,
+      geometries: false
+    }).reduceColumns(ee.Reducer.toList(bands.length), bands).get('list').getInfo();
+    
+    if (rows.length < 3) {
+      print('⚠️ Collinearity screening skipped: only ' + rows.length + ' complete samples; ' +
+            'lower CONFIG.collinearityMinCoverage');
+      return null;
+    }
+    
+    // Standardize columns; constant bands cannot be screened
+    var standardized = bands.map(function(_, j) {
+      var column = rows.map(function(row) { return row[j]; });
+      var mean = column.reduce(function(a, b) { return a + b; }, 0) / column.length;
+      var sd = Math.sqrt(column.reduce(function(a, b) { return a + (b - mean) * (b - mean); }, 0) /
+                         (column.length - 1));
+      return sd > 0 ? column.map(function(v) { return (v - mean) / sd; }) : null;
+    });
+    var constant = bands.filter(function(_, j) { return standardized[j] === null; });
+    standardized = standardized.filter(function(column) { return column !== null; });
+    bands = bands.filter(function(bandName) { return constant.indexOf(bandName) === -1; });
+    
+    var corr = standardized.map(function(x) {
+      return standardized.map(function(y) {
+        var sum = 0;
+        for (var k = 0; k < x.length; k++) sum += x[k] * y[k];
+        return sum / (x.length - 1);
+      });
+    });
+    var meanAbsR = corr.map(function(row) {
+      return row.reduce(function(a, r) { return a + Math.abs(r); }, 0) / row.length;
+    });
+    
+    // Step 1: greedy pairwise filter, least redundant bands first
+    var order = bands.map(function(_, i) { return i; }).sort(function(a, b) {
+      return meanAbsR[a] - meanAbsR[b];
+    });
+    var reason = {};
+    var kept = [];
+    order.forEach(function(i) {
+      for (var k = 0; k < kept.length; k++) {
+        if (Math.abs(corr[i][kept[k]]) >= CONFIG.correlationThreshold) {
+          reason[bands[i]] = 'r=' + corr[i][kept[k]].toFixed(3) + ' with ' + bands[kept[k]];
+          return;
+        }
+      }
+      kept.push(i);
+    });
+    
+    // Step 2: drop the highest-VIF band until all are below the threshold
+    var vif = {};
+    while (kept.length > 1) {
+      var vifs = varianceInflation(kept.map(function(i) {
+        return kept.map(function(j) { return corr[i][j]; });
+      }));
+      var worst = 0;
+      vifs.forEach(function(v, k) { if (v > vifs[worst]) worst = k; });
+      if (vifs[worst] < CONFIG.vifThreshold) {
+        kept.forEach(function(i, k) { vif[bands[i]] = vifs[k]; });
+        break;
+      }
+      reason[bands[kept[worst]]] = 'VIF=' + (isFinite(vifs[worst]) ? vifs[worst].toFixed(1) : 'Inf');
+      kept.splice(worst, 1);
+    }
+    if (kept.length === 1) vif[bands[kept[0]]] = 1;
+    
+    var selected = bands.filter(function(_, i) { return kept.indexOf(i) !== -1; });
+    print('Screened bands:', bands.length, '| Samples:', rows.length);
+    print('Excluded (coverage < ' + CONFIG.collinearityMinCoverage + ' or constant):',
+          candidates.length - bands.length);
+    print('✓ Selected ' + selected.length + ' bands (|r| < ' + CONFIG.correlationThreshold +
+          ', VIF < ' + CONFIG.vifThreshold + '):', selected);
+    
+    return {
+      candidates: candidates,
+      bands: bands,
+      coverage: coverage,
+      constant: constant,
+      corr: corr,
+      meanAbsR: meanAbsR,
+      selected: selected,
+      vif: vif,
+      reason: reason,
+      samples: rows.length
+    };
+  }
+
+  /**
+   * Export the correlation matrix, the per-band selection table and
+   * (optionally) the reduced stack
+   */
+  function exportCollinearityScreening() {
+    var screening = screenCovariates();
+    if (!screening) {
+      return;
+    }
+    
+    var matrixRows = screening.bands.map(function(bandName, i) {
+      var row = {band: bandName};
+      screening.bands.forEach(function(other, j) {
+        row[other] = screening.corr[i][j];
+      });
+      return ee.Feature(null, row);
+    });
+    exportTable(ee.FeatureCollection(matrixRows), CONFIG.exportPrefix + '_correlation_matrix',
+                ['band'].concat(screening.bands));
+    
+    var selectionRows = screening.candidates.map(function(bandName) {
+      var i = screening.bands.indexOf(bandName);
+      var status;
+      if (screening.selected.indexOf(bandName) !== -1) {
+        status = 'selected';
+      } else if (screening.constant.indexOf(bandName) !== -1) {
+        status = 'excluded: constant';
+      } else if (i === -1) {
+        status = 'excluded: coverage';
+      } else {
+        status = 'dropped: ' + screening.reason[bandName];
+      }
+      return ee.Feature(null, {
+        band: bandName,
+        selected: screening.selected.indexOf(bandName) !== -1 ? 1 : 0,
+        status: status,
+        coverage: screening.coverage[bandName],
+        mean_abs_r: i === -1 ? '' : screening.meanAbsR[i],
+        vif: screening.vif[bandName] === undefined ? '' : screening.vif[bandName],
+        n_samples: screening.samples
+      });
+    });
+    exportTable(ee.FeatureCollection(selectionRows), CONFIG.exportPrefix + '_covariate_selection',
+                ['band', 'selected', 'status', 'coverage', 'mean_abs_r', 'vif', 'n_samples']);
+    
+    if (CONFIG.exportReducedStack && screening.selected.length === 0) {
+      print('⚠️ No bands selected: reduced stack not exported');
+    } else if (CONFIG.exportReducedStack) {
+      exportImage(allFeatures.select(screening.selected), CONFIG.exportPrefix + '_reduced_stack');
+    }
+    
+    print('✓ Collinearity screening export tasks created');
+  }
+
+  /**
+   * Sample all covariate and QA bands at field core locations and export one
+   * CSV keyed by core_id for joining in Modules 01/05
+   */
+  function exportCoreCovariates() {
+    print('\n=== EXPORTING COVARIATES AT CORE LOCATIONS ===');
+    
+    // Rebuild point geometry from longitude/latitude so uploads with or
+    // without a geometry column both work
+    var cores = ee.FeatureCollection(CONFIG.samplingPointsAsset).map(function(f) {
+      var point = ee.Geometry.Point([ee.Number(f.get('longitude')), ee.Number(f.get('latitude'))]);
+      var region = CONFIG.pointBufferRadius_m > 0 ? point.buffer(CONFIG.pointBufferRadius_m) : point;
+      return ee.Feature(region).copyProperties(f);
+    });
+    
+    var stack = allFeatures.addBands(qualityLayers.toFloat());
+    var coreCovariates = stack.reduceRegions({
+      collection: cores,
+      reducer: CONFIG.pointBufferRadius_m > 0 ? ee.Reducer.mean() : ee.Reducer.first(),
+      scale: CONFIG.exportScale,
+      crs: CONFIG.exportCRS
+    });
+    
+    var bandNames = stack.bandNames().getInfo();
+    print('Cores:', cores.size(), '| Bands per core:', bandNames.length);
+    print('Extraction:', CONFIG.pointBufferRadius_m > 0 ?
+          'mean within ' + CONFIG.pointBufferRadius_m + ' m buffer' : 'pixel value');
+    
+    exportTable(coreCovariates, CONFIG.exportPrefix + '_core_covariates',
+                ['core_id', 'longitude', 'latitude', 'stratum', 'scenario_type'].concat(bandNames));
+    
+    print('✓ Core covariate table export task created');
+  }
+
+  // ============================================================================
+  // SECTION 15: EXECUTE EXPORTS
+  // ============================================================================
+
+  if (!createExports) {
+    print('\n👁️ Preview only: no export tasks created');
+    return;
+  }
+
+  if (CONFIG.exportMode === 'INDIVIDUAL') {
+    print('\n👉 Exporting covariate bands...');
+    exportIndividualBands();
+    
+    if (CONFIG.includeQualityLayers) {
+      print('\n👉 Exporting quality assessment layers...');
+      exportQualityLayers();
+    }
+  } else if (CONFIG.exportMode === 'STACK' || CONFIG.exportMode === 'GROUPED') {
+    print('\n👉 Exporting covariate stacks...');
+    exportStacks();
+  } else {
+    throw new Error('Unknown CONFIG.exportMode: ' + CONFIG.exportMode);
+  }
+
+  if (stackGroups.length) {
+    print('\n👉 Exporting epoch / scenario stacks...');
+    exportStandaloneStacks();
+  }
+
+  print('\n👉 Exporting band manifest...');
+  exportBandManifest();
+
+  print('\n👉 Exporting QA summary...');
+  exportTable(qaSummary, CONFIG.exportPrefix + '_qa_summary', qaSummarySelectors);
+  print('✓ QA summary export task created' + (CONFIG.qaStrataAsset ? ' (per stratum)' : ' (whole AOI)'));
+
+  print('\n👉 Exporting run metadata...');
+  exportRunMetadata();
+
+  if (classificationAccuracy) {
+    print('\n👉 Exporting classification accuracy...');
+    exportTable(classificationAccuracy.table, CONFIG.exportPrefix + '_classification_accuracy',
+                classificationAccuracy.selectors);
+    print('✓ Classification accuracy export task created');
+  }
+
+  if (CONFIG.screenCollinearity) {
+    print('\n👉 Screening covariate collinearity...');
+    exportCollinearityScreening();
+  }
+
+  if (biomassFitStats) {
+    print('\n👉 Exporting biomass model fit statistics...');
+    exportTable(biomassFitStats.table, CONFIG.exportPrefix + '_agb_fit_stats', biomassFitStats.selectors);
+    print('✓ Biomass fit statistics export task created');
+  }
+
+  if (slrAreaSummary) {
+    print('\n👉 Exporting SLR area summary...');
+    exportTable(slrAreaSummary, CONFIG.exportPrefix + '_slr_area_summary',
+                ['scenario', 'rise_2100_m', 'horizon_year', 'projected_rise_m', 'accretion_m',
+                 'marsh_area_ha', 'subtidal_area_ha', 'accommodation_area_ha']);
+    print('✓ SLR area summary export task created');
+  }
+
+  if (tileGrid) {
+    print('\n👉 Exporting tile index...');
+    exportTable(tileGrid.index, CONFIG.exportPrefix + '_tile_index',
+                ['tile_id', 'row', 'col', 'tile_size_m', 'overlap_m', 'crs', '.geo']);
+    print('✓ Tile index export task created (' + tileGrid.tiles.length + ' tiles)');
+  }
+
+  if (CONFIG.samplingPointsAsset) {
+    print('\n👉 Exporting covariates at core locations...');
+    exportCoreCovariates();
+  }
+
+  print('\n========================================');
+  print('EXPORT SETUP COMPLETE');
+  print('========================================');
+  print('\n✅ QA/QC CHECKS PASSED');
+  print('✅ All export tasks created');
+  print('\n📋 NEXT STEPS:');
+  print('1. Go to Tasks tab (upper right)');
+  print('2. Run all export tasks');
+  print('3. Download files from ' + CONFIG.exportDestination + ' (or read the assets directly)');
+  if (CONFIG.runIdInFileNames) {
+    print('   File names end in the run ID _' + RUN_ID + ' (settings in _run_metadata)');
+  }
+  if (tileGrid) {
+    print('   Mosaic tiles cropped to their core extent (tile_index) to drop the overlap');
+  }
+  print('4. Review QA layers before modeling');
+  print('5. Use quality_score layer and the _qa_summary table to find low-quality strata');
+  print('\n💡 BLUE CARBON BEST PRACTICES:');
+  print('• Exclude areas with quality_score < ' + CONFIG.qaPassScore);
+  print('• Check tidal indicators align with field observations');
+  print('• Verify NDWI patterns match known water distribution');
+  print('• Review biomass proxies in vegetated zones');
+  print('• Use salinity proxies to stratify samples if needed');
+  print('• Check lateral transport potential for carbon export zones');
+  print('\n🌊 Ready for blue carbon modeling!');
+}
 
 // ============================================================================
-// SECTION 15: EXECUTE EXPORTS
+// SECTION 16: COVARIATE BUILDER APP
 // ============================================================================
 
-print('\n👉 Exporting covariate bands...');
-exportIndividualBands();
+var STYLES = {
+  TITLE: {fontSize: '24px', fontWeight: 'bold', color: '#005931'},
+  SUBTITLE: {fontSize: '16px', fontWeight: '500', color: '#0277BD'},
+  HEADER: {fontSize: '15px', fontWeight: 'bold', margin: '14px 0 4px 8px'},
+  SUBHEADER: {fontSize: '13px', fontWeight: 'bold', margin: '8px 8px 0 8px'},
+  PANEL: {width: '400px', border: '1px solid #cccccc'},
+  HR: function() {
+    return ui.Panel(null, ui.Panel.Layout.flow('horizontal'), {
+      border: '1px solid #E0E0E0',
+      margin: '16px 0px'
+    });
+  },
+  INSTRUCTION: {fontSize: '12px', color: '#999999', margin: '4px 8px'},
+  SUCCESS: {fontSize: '13px', color: '#388E3C', fontWeight: 'bold', margin: '4px 8px'},
+  ERROR: {fontSize: '13px', color: '#D32F2F', fontWeight: 'bold', margin: '4px 8px'},
+  WARNING: {fontSize: '12px', color: '#F57C00', margin: '2px 8px'},
+  INFO: {fontSize: '12px', color: '#0277BD', margin: '4px 8px'},
+  WIDGET: {stretch: 'horizontal', margin: '4px 8px'}
+};
+
+// Choices offered in the app; keep in step with OPTICAL_SOURCES (Section 4)
+// and DEM_SOURCES (Section 2). Everything else is set through the config string.
+var APP_OPTICAL_SOURCES = ['S2', 'LANDSAT'];
+var APP_DEM_SOURCES = ['CDEM', 'GLO30', 'NASADEM', 'SRTM', 'FABDEM', 'LIDAR'];
+var APP_EXPORT_MODES = ['INDIVIDUAL', 'STACK', 'GROUPED'];
+var APP_EXPORT_DESTINATIONS = ['DRIVE', 'ASSET', 'GCS'];
+var APP_MONTHS = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10', '11', '12'];
+// Longest config string stored in the app URL (browsers and link shorteners
+// truncate long URLs); detailed drawn AOIs should be uploaded as assets
+var APP_URL_CONFIG_MAX_LENGTH = 2000;
 
-if (CONFIG.includeQualityLayers) {
-  print('\n👉 Exporting quality assessment layers...');
-  exportQualityLayers();
+/**
+ * Scene counts for the app's live check: raw scenes over the AOI before
+ * cloud masking (S2 scene cloud filter only), as the pipeline loads them
+ */
+function appSceneCounts(region) {
+  var start = ee.Date.fromYMD(CONFIG.yearStart, 1, 1);
+  var end = ee.Date.fromYMD(CONFIG.yearEnd, 12, 31);
+  var optical;
+  if (CONFIG.opticalSource === 'S2') {
+    optical = ee.ImageCollection('COPERNICUS/S2_SR_HARMONIZED')
+      .filter(ee.Filter.lt('CLOUDY_PIXEL_PERCENTAGE', CONFIG.s2CloudThreshold));
+  } else {
+    optical = ['LT05', 'LE07', 'LC08', 'LC09'].map(function(sensor) {
+      return ee.ImageCollection('LANDSAT/' + sensor + '/C02/T1_L2');
+    }).reduce(function(merged, collection) {
+      return merged.merge(collection);
+    });
+  }
+  optical = optical.filterBounds(region).filterDate(start, end);
+  var growing = optical.filter(ee.Filter.calendarRange(
+    CONFIG.growingSeasonStartMonth, CONFIG.growingSeasonEndMonth, 'month'));
+  var s1 = ee.ImageCollection('COPERNICUS/S1_GRD')
+    .filterBounds(region)
+    .filterDate(start, end)
+    .filter(ee.Filter.eq('instrumentMode', 'IW'))
+    .filter(ee.Filter.listContains('transmitterReceiverPolarisation', 'VV'))
+    .filter(ee.Filter.listContains('transmitterReceiverPolarisation', 'VH'));
+  return ee.Dictionary({optical: optical.size(), growing: growing.size(), s1: s1.size()});
+}
+
+/**
+ * Build the configuration panel next to the Code Editor map. Widgets start
+ * from CONFIG, write back to it on every change, and Preview / Run call
+ * runCovariates() with the result.
+ */
+function buildCovariateApp() {
+  var panel = ui.Panel({style: STYLES.PANEL});
+  ui.root.insert(0, panel);
+  if (CONFIG.aoi) {
+    Map.centerObject(CONFIG.aoi, 11);
+  }
+  
+  panel.add(ui.Label('Blue Carbon Covariate Builder', STYLES.TITLE));
+  panel.add(ui.Label('VM0033 covariates with QA/QC', STYLES.SUBTITLE));
+  panel.add(ui.Label(
+    'Set the area, period and feature groups, check data availability, then preview or export. ' +
+    'Save the config string to reproduce the run.',
+    STYLES.INSTRUCTION
+  ));
+  
+  // --- Step 1: Area of interest ---
+  panel.add(STYLES.HR());
+  panel.add(ui.Label('Step 1: Area of Interest', STYLES.HEADER));
+  
+  var drawingTools = Map.drawingTools();
+  drawingTools.setShown(true);
+  drawingTools.setLinked(false);
+  drawingTools.setDrawModes(['polygon', 'rectangle']);
+  var aoiLayer = ui.Map.GeometryLayer({geometries: [], name: 'covariate_aoi', color: 'FF5722'});
+  drawingTools.layers().add(aoiLayer);
+  
+  var drawButton = ui.Button({label: '🖊️ Draw AOI', style: STYLES.WIDGET});
+  var aoiAssetBox = ui.Textbox({
+    placeholder: 'Or table asset, e.g. users/your_name/site_boundary',
+    value: CONFIG.aoiAsset,
+    style: STYLES.WIDGET
+  });
+  var aoiLabel = ui.Label('', STYLES.INFO);
+  panel.add(drawButton);
+  panel.add(aoiAssetBox);
+  panel.add(aoiLabel);
+  
+  // --- Step 2: Period and sources ---
+  panel.add(STYLES.HR());
+  panel.add(ui.Label('Step 2: Period & Data Sources', STYLES.HEADER));
+  
+  var yearStartBox = ui.Textbox({value: String(CONFIG.yearStart), style: STYLES.WIDGET});
+  var yearEndBox = ui.Textbox({value: String(CONFIG.yearEnd), style: STYLES.WIDGET});
+  var seasonStartSelect = ui.Select({items: APP_MONTHS, value: String(CONFIG.growingSeasonStartMonth),
+                                     style: STYLES.WIDGET});
+  var seasonEndSelect = ui.Select({items: APP_MONTHS, value: String(CONFIG.growingSeasonEndMonth),
+                                   style: STYLES.WIDGET});
+  var opticalSelect = ui.Select({items: APP_OPTICAL_SOURCES, value: CONFIG.opticalSource, style: STYLES.WIDGET});
+  var demSelect = ui.Select({items: APP_DEM_SOURCES, value: CONFIG.demSource, style: STYLES.WIDGET});
+  
+  panel.add(ui.Label('First / last year:', STYLES.SUBHEADER));
+  panel.add(ui.Panel([yearStartBox, yearEndBox], ui.Panel.Layout.flow('horizontal')));
+  panel.add(ui.Label('Growing season start / end month:', STYLES.SUBHEADER));
+  panel.add(ui.Panel([seasonStartSelect, seasonEndSelect], ui.Panel.Layout.flow('horizontal')));
+  panel.add(ui.Label('Optical source:', STYLES.SUBHEADER));
+  panel.add(opticalSelect);
+  panel.add(ui.Label('DEM source:', STYLES.SUBHEADER));
+  panel.add(demSelect);
+  
+  // --- Step 3: Feature groups (modules switched by a true/false CONFIG flag) ---
+  panel.add(STYLES.HR());
+  panel.add(ui.Label('Step 3: Feature Groups', STYLES.HEADER));
+  panel.add(ui.Label('Topography, optical and SAR are always included. Asset-driven modules ' +
+                     '(tide table, training, AGB plots, SAV calibration areas, epochs, SLR) are set in the config string.',
+                     STYLES.INSTRUCTION));
+  
+  var moduleBoxes = {};
+  Object.keys(MODULES).forEach(function(name) {
+    var flag = MODULES[name].flag;
+    if (typeof CONFIG[flag] === 'boolean') {
+      moduleBoxes[flag] = ui.Checkbox({label: MODULES[name].label, value: CONFIG[flag],
+                                       style: {margin: '2px 8px'}});
+      panel.add(moduleBoxes[flag]);
+    }
+  });
+  var qaBox = ui.Checkbox({label: 'QA layers', value: CONFIG.includeQualityLayers, style: {margin: '2px 8px'}});
+  panel.add(qaBox);
+  
+  // --- Step 4: Checks ---
+  panel.add(STYLES.HR());
+  panel.add(ui.Label('Step 4: Data Availability & QA Warnings', STYLES.HEADER));
+  var checksPanel = ui.Panel({style: {margin: '4px'}});
+  panel.add(checksPanel);
+  
+  // --- Step 5: Preview and export ---
+  panel.add(STYLES.HR());
+  panel.add(ui.Label('Step 5: Preview & Export', STYLES.HEADER));
+  
+  var exportModeSelect = ui.Select({items: APP_EXPORT_MODES, value: CONFIG.exportMode, style: STYLES.WIDGET});
+  var destinationSelect = ui.Select({items: APP_EXPORT_DESTINATIONS, value: CONFIG.exportDestination,
+                                     style: STYLES.WIDGET});
+  var previewButton = ui.Button({label: '👁️ Preview Key Layers', style: STYLES.WIDGET});
+  var runButton = ui.Button({label: '🚀 Run & Create Export Tasks', style: STYLES.WIDGET});
+  var runStatusLabel = ui.Label('', STYLES.INFO);
+  
+  panel.add(ui.Label('Export mode / destination:', STYLES.SUBHEADER));
+  panel.add(ui.Panel([exportModeSelect, destinationSelect], ui.Panel.Layout.flow('horizontal')));
+  panel.add(previewButton);
+  panel.add(runButton);
+  panel.add(runStatusLabel);
+  
+  // --- Config string ---
+  panel.add(STYLES.HR());
+  panel.add(ui.Label('Config String', STYLES.HEADER));
+  panel.add(ui.Label('Copy to keep a record, or paste one and press Load to restore every setting ' +
+                     '(or set CONFIG_STRING at the top of the script).', STYLES.INSTRUCTION));
+  var configBox = ui.Textbox({placeholder: 'Config string (JSON)', style: STYLES.WIDGET});
+  var loadConfigButton = ui.Button({label: '📥 Load Config String', style: STYLES.WIDGET});
+  panel.add(configBox);
+  panel.add(loadConfigButton);
+  
+  /**
+   * Copy widget values into CONFIG; returns the blocking errors
+   */
+  function readWidgets() {
+    var errors = [];
+    // The AOI layer (or asset) is the source of truth; runCovariates()
+    // replaces CONFIG.aoi with the asset geometry
+    CONFIG.aoiAsset = aoiAssetBox.getValue().trim();
+    CONFIG.aoi = aoiLayer.geometries().length() > 0 ? aoiLayer.toGeometry() : null;
+    CONFIG.yearStart = parseInt(yearStartBox.getValue(), 10);
+    CONFIG.yearEnd = parseInt(yearEndBox.getValue(), 10);
+    CONFIG.growingSeasonStartMonth = parseInt(seasonStartSelect.getValue(), 10);
+    CONFIG.growingSeasonEndMonth = parseInt(seasonEndSelect.getValue(), 10);
+    CONFIG.opticalSource = opticalSelect.getValue();
+    CONFIG.demSource = demSelect.getValue();
+    Object.keys(moduleBoxes).forEach(function(flag) {
+      CONFIG[flag] = moduleBoxes[flag].getValue();
+    });
+    CONFIG.includeQualityLayers = qaBox.getValue();
+    CONFIG.exportMode = exportModeSelect.getValue();
+    CONFIG.exportDestination = destinationSelect.getValue();
+    
+    if (!CONFIG.aoi && !CONFIG.aoiAsset) {
+      errors.push('No AOI: draw one or enter a table asset');
+    }
+    if (isNaN(CONFIG.yearStart) || isNaN(CONFIG.yearEnd) || CONFIG.yearStart > CONFIG.yearEnd) {
+      errors.push('First year must be a year no later than the last year');
+    }
+    if (CONFIG.growingSeasonStartMonth > CONFIG.growingSeasonEndMonth) {
+      errors.push('Growing season must not wrap past December');
+    }
+    if (CONFIG.demSource === 'LIDAR' && !CONFIG.demAsset) {
+      errors.push('DEM source LIDAR needs CONFIG.demAsset (set it in the config string)');
+    }
+    if (CONFIG.exportDestination === 'GCS' && !CONFIG.exportBucket) {
+      errors.push('GCS export needs CONFIG.exportBucket (set it in the config string)');
+    }
+    return errors;
+  }
+  
+  /**
+   * Copy CONFIG into the widgets (after loading a config string)
+   */
+  function writeWidgets() {
+    aoiAssetBox.setValue(CONFIG.aoiAsset, false);
+    aoiLayer.geometries().reset(CONFIG.aoi && !CONFIG.aoiAsset ? [CONFIG.aoi] : []);
+    yearStartBox.setValue(String(CONFIG.yearStart), false);
+    yearEndBox.setValue(String(CONFIG.yearEnd), false);
+    seasonStartSelect.setValue(String(CONFIG.growingSeasonStartMonth), false);
+    seasonEndSelect.setValue(String(CONFIG.growingSeasonEndMonth), false);
+    opticalSelect.setValue(CONFIG.opticalSource, false);
+    demSelect.setValue(CONFIG.demSource, false);
+    Object.keys(moduleBoxes).forEach(function(flag) {
+      moduleBoxes[flag].setValue(CONFIG[flag], false);
+    });
+    qaBox.setValue(CONFIG.includeQualityLayers, false);
+    exportModeSelect.setValue(CONFIG.exportMode, false);
+    destinationSelect.setValue(CONFIG.exportDestination, false);
+  }
+  
+  /**
+   * Refresh the AOI label, live scene counts, warnings and config string
+   */
+  function refreshChecks() {
+    var errors = readWidgets();
+    checksPanel.clear();
+    
+    if (CONFIG.aoiAsset) {
+      aoiLabel.setValue('AOI: ' + CONFIG.aoiAsset);
+    } else if (CONFIG.aoi) {
+      aoiLabel.setValue('AOI: drawn geometry');
+    } else {
+      aoiLabel.setValue('AOI: none');
+    }
+    
+    errors.forEach(function(error) {
+      checksPanel.add(ui.Label('❌ ' + error, STYLES.ERROR));
+    });
+    runButton.setDisabled(errors.length > 0);
+    previewButton.setDisabled(errors.length > 0);
+    if (errors.length) {
+      return;
+    }
+    
+    if (CONFIG.opticalSource === 'S2' && CONFIG.yearStart < 2017) {
+      checksPanel.add(ui.Label('⚠️ Sentinel-2 SR starts in 2017; use LANDSAT for earlier baselines', STYLES.WARNING));
+    }
+    if (CONFIG.yearEnd < 2015) {
+      checksPanel.add(ui.Label('⚠️ Sentinel-1 starts in 2014; SAR covariates will be sparse or empty', STYLES.WARNING));
+    }
+    var text = configString();
+    configBox.setValue(text, false);
+    if (text.length > APP_URL_CONFIG_MAX_LENGTH) {
+      checksPanel.add(ui.Label('⚠️ Config string is ' + text.length + ' characters, too long for the app URL: ' +
+                               'copy it from the Config String box, or upload the AOI and set it as an asset',
+                               STYLES.WARNING));
+    }
+    
+    var region = CONFIG.aoiAsset ? ee.FeatureCollection(CONFIG.aoiAsset).geometry() : CONFIG.aoi;
+    var countsLabel = ui.Label('⏳ Counting scenes...', STYLES.INFO);
+    checksPanel.add(countsLabel);
+    appSceneCounts(region).evaluate(function(counts, error) {
+      if (error) {
+        countsLabel.setValue('❌ ' + error);
+        countsLabel.style().set(STYLES.ERROR);
+        return;
+      }
+      countsLabel.setValue('Optical scenes: ' + counts.optical + ' (growing season: ' + counts.growing +
+                           ') | Sentinel-1 scenes: ' + counts.s1 + ' (before cloud masking)');
+      if (counts.optical < CONFIG.minObservationsRequired) {
+        checksPanel.add(ui.Label('⚠️ Fewer optical scenes than minObservationsRequired (' +
+                                 CONFIG.minObservationsRequired + '): widen the period or relax cloud filters',
+                                 STYLES.WARNING));
+      }
+      if (counts.s1 < CONFIG.minObservationsRequired) {
+        checksPanel.add(ui.Label('⚠️ Fewer Sentinel-1 scenes than minObservationsRequired (' +
+                                 CONFIG.minObservationsRequired + ')', STYLES.WARNING));
+      }
+    });
+  }
+  
+  /**
+   * Run the pipeline from the current widgets; the layers from Section 13 and
+   * the console output appear as in a direct run
+   */
+  function runFromApp(createExports) {
+    if (readWidgets().length) {
+      refreshChecks();
+      return;
+    }
+    var text = configString();
+    configBox.setValue(text, false);
+    if (text.length <= APP_URL_CONFIG_MAX_LENGTH) {
+      ui.url.set('config', text);
+    }
+    Map.layers().reset();
+    runStatusLabel.setValue('⏳ ' + (createExports ? 'Building covariates and export tasks' : 'Building preview') +
+                            '... (see Console)');
+    try {
+      runCovariates(createExports);
+    } catch (e) {
+      runStatusLabel.setValue('');
+      checksPanel.clear();
+      checksPanel.add(ui.Label('❌ Run failed: ' + e.message, STYLES.ERROR));
+      return;
+    }
+    runStatusLabel.setValue(createExports ? '✓ Export tasks created: run them from the Tasks tab' :
+                            '✓ Preview layers added to the map');
+  }
+  
+  drawButton.onClick(function() {
+    aoiLayer.geometries().reset();
+    aoiAssetBox.setValue('', false);
+    drawingTools.setSelected(aoiLayer);
+    drawingTools.setShape('polygon');
+    drawingTools.draw();
+  });
+  drawingTools.onDraw(ui.util.debounce(function() {
+    drawingTools.setShape(null);
+    refreshChecks();
+  }, 500));
+  drawingTools.onEdit(ui.util.debounce(refreshChecks, 500));
+  drawingTools.onErase(ui.util.debounce(refreshChecks, 500));
+  
+  [aoiAssetBox, yearStartBox, yearEndBox, seasonStartSelect, seasonEndSelect, opticalSelect, demSelect,
+   qaBox, exportModeSelect, destinationSelect].forEach(function(widget) {
+    widget.onChange(refreshChecks);
+  });
+  Object.keys(moduleBoxes).forEach(function(flag) {
+    moduleBoxes[flag].onChange(refreshChecks);
+  });
+  
+  previewButton.onClick(function() {
+    runFromApp(false);
+  });
+  runButton.onClick(function() {
+    runFromApp(true);
+  });
+  loadConfigButton.onClick(function() {
+    try {
+      applyConfigString(configBox.getValue());
+    } catch (e) {
+      checksPanel.clear();
+      checksPanel.add(ui.Label('❌ Invalid config string: ' + e.message, STYLES.ERROR));
+      return;
+    }
+    writeWidgets();
+    refreshChecks();
+  });
+  
+  writeWidgets();
+  refreshChecks();
+  if (savedConfigError) {
+    checksPanel.add(ui.Label('❌ Invalid config string (CONFIG defaults loaded): ' + savedConfigError, STYLES.ERROR));
+  }
 }
 
-print('\n========================================');
-print('EXPORT SETUP COMPLETE');
-print('========================================');
-print('\n✅ QA/QC CHECKS PASSED');
-print('✅ All export tasks created');
-print('\n📋 NEXT STEPS:');
-print('1. Go to Tasks tab (upper right)');
-print('2. Run all export tasks');
-print('3. Download files from Google Drive');
-print('4. Review QA layers before modeling');
-print('5. Use quality_score layer to mask low-quality areas');
-print('\n💡 BLUE CARBON BEST PRACTICES:');
-print('• Exclude areas with quality_score < 70');
-print('• Check tidal indicators align with field observations');
-print('• Verify NDWI patterns match known water distribution');
-print('• Review biomass proxies in vegetated zones');
-print('• Use salinity proxies to stratify samples if needed');
-print('• Check lateral transport potential for carbon export zones');
-print('\n🌊 Ready for blue carbon modeling!');
+if (LAUNCH_APP) {
+  buildCovariateApp();
+} else {
+  runCovariates(true);
+}
@@ -35,7 +35,17 @@ var CONFIG = {
 
   // Analysis Parameters
   MAX_ERROR: 1, // meters for geometry operations
-  RANDOM_SEED: 42
+  RANDOM_SEED: 42,
+
+  // Export destination: 'DRIVE', 'ASSET' (Earth Engine asset) or 'GCS' (Cloud Storage)
+  //   DRIVE - <EXPORT_FOLDER>/<name>.<format>
+  //   GCS   - gs://<EXPORT_BUCKET>/<EXPORT_FOLDER>/<name>.<format>
+  //   ASSET - <EXPORT_ASSET_FOLDER>/<name> (file format is ignored)
+  // Names may only contain letters, digits, '_' and '-' (max 100 characters)
+  EXPORT_DESTINATION: 'DRIVE',
+  EXPORT_FOLDER: 'BlueCarbon_Exports',
+  EXPORT_ASSET_FOLDER: 'projects/your-project/assets/BlueCarbon_Exports',  // Must already exist
+  EXPORT_BUCKET: ''  // GCS bucket name (no gs://)
 };
 
 // 5 Coastal Ecosystem Strata Definitions
@@ -200,6 +210,40 @@ var Utils = {
       points: count,
       seed: seed
     });
+  },
+
+  /**
+   * Export a table to the configured destination (Drive, asset or Cloud Storage)
+   */
+  exportTable: function(collection, description, fileName, fileFormat) {
+    var name = fileName.replace(/[^a-zA-Z0-9_-]/g, '_').substring(0, 100);
+
+    if (CONFIG.EXPORT_DESTINATION === 'ASSET') {
+      Export.table.toAsset({
+        collection: collection,
+        description: description,
+        assetId: CONFIG.EXPORT_ASSET_FOLDER + '/' + name
+      });
+    } else if (CONFIG.EXPORT_DESTINATION === 'GCS') {
+      if (!CONFIG.EXPORT_BUCKET) {
+        throw new Error('EXPORT_DESTINATION is GCS but EXPORT_BUCKET is empty');
+      }
+      Export.table.toCloudStorage({
+        collection: collection,
+        description: description,
+        bucket: CONFIG.EXPORT_BUCKET,
+        fileNamePrefix: CONFIG.EXPORT_FOLDER + '/' + name,
+        fileFormat: fileFormat
+      });
+    } else {
+      Export.table.toDrive({
+        collection: collection,
+        description: description,
+        folder: CONFIG.EXPORT_FOLDER,
+        fileNamePrefix: name,
+        fileFormat: fileFormat
+      });
+    }
   }
 };
 
@@ -1316,13 +1360,8 @@ exportStrataButton.onClick(function() {
     return feature.set('area_ha', areaHa);
   });
 
-  Export.table.toDrive({
-    collection: polygonsWithArea,
-    description: 'BlueCarbon_Strata_Polygons',
-    folder: 'BlueCarbon_Exports',
-    fileNamePrefix: 'strata_polygons_' + AppState.scenarioType,
-    fileFormat: exportFormatSelect.getValue()
-  });
+  Utils.exportTable(polygonsWithArea, 'BlueCarbon_Strata_Polygons', 'strata_polygons_' + AppState.scenarioType,
+    exportFormatSelect.getValue());
 
   alert('Export task created! Check the Tasks tab to run it.');
   print('✓ Strata export task created');
@@ -1334,13 +1373,8 @@ exportHRCoresButton.onClick(function() {
     return;
   }
 
-  Export.table.toDrive({
-    collection: AppState.hrCores,
-    description: 'BlueCarbon_HR_Cores',
-    folder: 'BlueCarbon_Exports',
-    fileNamePrefix: 'hr_cores_' + AppState.scenarioType,
-    fileFormat: exportFormatSelect.getValue()
-  });
+  Utils.exportTable(AppState.hrCores, 'BlueCarbon_HR_Cores', 'hr_cores_' + AppState.scenarioType,
+    exportFormatSelect.getValue());
 
   alert('Export task created! Check the Tasks tab to run it.');
   print('✓ HR cores export task created');
@@ -1352,13 +1386,8 @@ exportCompositesButton.onClick(function() {
     return;
   }
 
-  Export.table.toDrive({
-    collection: AppState.composites,
-    description: 'BlueCarbon_Composites',
-    folder: 'BlueCarbon_Exports',
-    fileNamePrefix: 'composites_' + AppState.scenarioType,
-    fileFormat: exportFormatSelect.getValue()
-  });
+  Utils.exportTable(AppState.composites, 'BlueCarbon_Composites', 'composites_' + AppState.scenarioType,
+    exportFormatSelect.getValue());
 
   alert('Export task created! Check the Tasks tab to run it.');
   print('✓ Composites export task created');
@@ -1370,13 +1399,8 @@ exportSubsamplesButton.onClick(function() {
     return;
   }
 
-  Export.table.toDrive({
-    collection: AppState.subsamples,
-    description: 'BlueCarbon_Subsamples',
-    folder: 'BlueCarbon_Exports',
-    fileNamePrefix: 'subsamples_' + AppState.scenarioType,
-    fileFormat: exportFormatSelect.getValue()
-  });
+  Utils.exportTable(AppState.subsamples, 'BlueCarbon_Subsamples', 'subsamples_' + AppState.scenarioType,
+    exportFormatSelect.getValue());
 
   alert('Export task created! Check the Tasks tab to run it.');
   print('✓ Subsamples export task created');
@@ -75,7 +75,12 @@ var studyArea = geometry;
 // Export parameters
 var EXPORT_SCALE = 250;  // Resolution in meters (SoilGrids native)
 var EXPORT_CRS = 'EPSG:3005';  // BC Albers (or your preferred CRS)
-var EXPORT_FOLDER = 'BlueCarbon_Priors';  // Google Drive folder name
+var EXPORT_FOLDER = 'BlueCarbon_Priors';  // Google Drive folder name (or GCS object prefix)
+
+// Export destination: 'DRIVE', 'ASSET' (Earth Engine asset) or 'GCS' (Cloud Storage)
+var EXPORT_DESTINATION = 'DRIVE';
+var EXPORT_ASSET_FOLDER = 'projects/your-project/assets/BlueCarbon_Priors';  // Must already exist
+var EXPORT_BUCKET = '';  // GCS bucket name (no gs://)
 
 // Sothe et al. 2022 BC Coast Assets
 // **USER MUST UPDATE THESE PATHS**
@@ -571,6 +576,54 @@ print('════════════════════════
 
 var VM0033_EXPORT_INTERVALS = ['0-15', '15-30', '30-50', '50-100'];
 
+// Export destination naming rules (same as the covariate script)
+//   DRIVE - <EXPORT_FOLDER>/<name>.tif
+//   GCS   - gs://<EXPORT_BUCKET>/<EXPORT_FOLDER>/<name>.tif
+//   ASSET - <EXPORT_ASSET_FOLDER>/<name>
+// Task descriptions and asset names may only contain letters, digits, '_'
+// and '-' (max 100 characters); anything else becomes '_'.
+if (['DRIVE', 'ASSET', 'GCS'].indexOf(EXPORT_DESTINATION) === -1) {
+  throw new Error('Unknown EXPORT_DESTINATION: ' + EXPORT_DESTINATION);
+}
+if (EXPORT_DESTINATION === 'GCS' && !EXPORT_BUCKET) {
+  throw new Error('EXPORT_DESTINATION is GCS but EXPORT_BUCKET is empty');
+}
+
+// Categorical bands get 'mode' asset pyramids so class codes are not
+// averaged into fractional values at lower pyramid levels
+var CATEGORICAL_BANDS = ['uncertainty_stratum'];
+
+function exportImage(image, name) {
+  var description = name.replace(/[^a-zA-Z0-9_-]/g, '_').substring(0, 100);
+  var params = {
+    image: image,
+    description: description,
+    region: studyArea,
+    scale: EXPORT_SCALE,
+    crs: EXPORT_CRS,
+    maxPixels: 1e13
+  };
+
+  if (EXPORT_DESTINATION === 'ASSET') {
+    params.assetId = EXPORT_ASSET_FOLDER + '/' + description;
+    params.pyramidingPolicy = {'.default': 'mean'};
+    image.bandNames().getInfo().forEach(function(band) {
+      if (CATEGORICAL_BANDS.indexOf(band) !== -1) {
+        params.pyramidingPolicy[band] = 'mode';
+      }
+    });
+    Export.image.toAsset(params);
+  } else if (EXPORT_DESTINATION === 'GCS') {
+    params.bucket = EXPORT_BUCKET;
+    params.fileNamePrefix = EXPORT_FOLDER + '/' + name;
+    Export.image.toCloudStorage(params);
+  } else {
+    params.folder = EXPORT_FOLDER;
+    params.fileNamePrefix = name;
+    Export.image.toDrive(params);
+  }
+}
+
 // Export carbon stocks and SE for each VM0033 interval
 // Using VM0033 midpoint depths in filenames: 7_5, 22_5, 40, 75 cm
 // Note: Replace decimal points with underscores for GIS compatibility
@@ -582,54 +635,18 @@ VM0033_EXPORT_INTERVALS.forEach(function(interval) {
 
   // Export Mean Carbon Stock (kg/m²)
   // File naming: carbon_stock_prior_mean_7_5cm.tif
-  Export.image.toDrive({
-    image: vm0033_stocks[interval].clip(studyArea),
-    description: 'carbon_stock_prior_mean_' + midpoint_str + 'cm',
-    folder: EXPORT_FOLDER,
-    fileNamePrefix: 'carbon_stock_prior_mean_' + midpoint_str + 'cm',
-    region: studyArea,
-    scale: EXPORT_SCALE,
-    crs: EXPORT_CRS,
-    maxPixels: 1e13
-  });
+  exportImage(vm0033_stocks[interval].clip(studyArea), 'carbon_stock_prior_mean_' + midpoint_str + 'cm');
 
   // Export Standard Error (kg/m²)
   // File naming: carbon_stock_prior_se_7_5cm.tif
-  Export.image.toDrive({
-    image: vm0033_stocks_se[interval].clip(studyArea),
-    description: 'carbon_stock_prior_se_' + midpoint_str + 'cm',
-    folder: EXPORT_FOLDER,
-    fileNamePrefix: 'carbon_stock_prior_se_' + midpoint_str + 'cm',
-    region: studyArea,
-    scale: EXPORT_SCALE,
-    crs: EXPORT_CRS,
-    maxPixels: 1e13
-  });
+  exportImage(vm0033_stocks_se[interval].clip(studyArea), 'carbon_stock_prior_se_' + midpoint_str + 'cm');
 
   // Export Coefficient of Variation (%) - for diagnostic purposes
-  Export.image.toDrive({
-    image: cv_layers[interval].clip(studyArea),
-    description: 'carbon_stock_prior_cv_' + midpoint_str + 'cm',
-    folder: EXPORT_FOLDER,
-    fileNamePrefix: 'carbon_stock_prior_cv_' + midpoint_str + 'cm',
-    region: studyArea,
-    scale: EXPORT_SCALE,
-    crs: EXPORT_CRS,
-    maxPixels: 1e13
-  });
+  exportImage(cv_layers[interval].clip(studyArea), 'carbon_stock_prior_cv_' + midpoint_str + 'cm');
 });
 
 // Export uncertainty strata
-Export.image.toDrive({
-  image: uncertainty_strata,
-  description: 'uncertainty_strata',
-  folder: EXPORT_FOLDER,
-  fileNamePrefix: 'uncertainty_strata',
-  region: studyArea,
-  scale: EXPORT_SCALE,
-  crs: EXPORT_CRS,
-  maxPixels: 1e13
-});
+exportImage(uncertainty_strata, 'uncertainty_strata');
 
 // Note: Sothe et al. data is blended into the 50-100cm layer above
 // No need to export Sothe layers separately
@@ -706,7 +723,7 @@ print('NEXT STEPS:');
 print('1. Go to Tasks tab (top right in Code Editor)');
 print('2. Click RUN on each export task (~13 tasks)');
 print('3. Wait for exports to complete (~5-30 min depending on area)');
-print('4. Download files from Google Drive/' + EXPORT_FOLDER);
+print('4. Download files from ' + EXPORT_DESTINATION + ' (' + (EXPORT_DESTINATION === 'ASSET' ? EXPORT_ASSET_FOLDER : EXPORT_FOLDER) + ')');
 print('5. Place in: data_prior/gee_exports/');
 print('6. Run Module 00C in R to process priors');
 print('7. Run Module 01C for Bayesian sampling design');